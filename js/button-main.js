@@ -0,0 +1,23 @@
+// Launcher for button.html — the standalone Hit the Button page
+// ?handoff=ticket comes from the maze's redirect failure policy (handoff.js):
+// it sets the severity, and "Back to Maze" returns it with the run's outcome
+// ?severity=N / ?time=S run the challenge on its own (time limit in seconds)
+
+const query = new URLSearchParams(window.location.search);
+const ticket = Handoff.read(query);
+
+const origin = !ticket ? "" :
+    `Back to ${ticket.daily ? `the ${ticket.daily} daily` : `level ${ticket.level + 1}`}` +
+    (ticket.record === null ? "" : ` · best ${ticket.record} units`);
+
+let outcome = null;
+const challenge = new ButtonChallenge({
+    severity: ticket ? ticket.severity : Math.max(1, parseInt(query.get("severity"), 10) || 1),
+    timeLimit: Math.max(0, parseInt(query.get("time"), 10) || 0),
+    note: origin,
+    onComplete: result => { outcome = { won: true, ...result }; },
+    onBack: () => {
+        window.location.href = ticket && outcome ? Handoff.url("index.html", { ...ticket, outcome }) : "index.html";
+    }
+});
+challenge.mount(document.getElementById("challenge"));
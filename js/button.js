@@ -1,274 +1,385 @@
 /* ===============================================================
-   Button Mini Game (Triggered after 10 failed maze attempts)
-   Goal: catch the button as difficulty increases each level.
-   This works like a "punishment" challenge before returning.
+   Hit the Button — the failure-punishment mini game (ButtonChallenge)
+   Goal: catch the button as it gets harder to hit stage by stage.
+   Renders into any container, so it runs both on button.html and
+   inside the maze's failure overlay (failure.js):
+
+     const challenge = new ButtonChallenge({ severity: 2, onComplete: result => ... });
+     challenge.mount(container);
+     ...
+     challenge.unmount();
+
+   Options:
+   - severity    how badly the maze was failed (1 = threshold just reached);
+                 scales every stage through ButtonChallenge.scale
+   - timeLimit   seconds to win in (0 = no limit)
+   - note        extra line under the stage info (e.g. the level to return to)
+   - onComplete  (result) once the last stage is beaten
+   - onFail      (result) when the time limit runs out
+   - onBack      () from the victory screen's "Back to Maze" (button hidden if unset)
+   result = { time (s), stagesCleared, stages, clicks, misses, severity }
 ================================================================*/
 
 // Just visual icon SVGs for UI
-const icons = {
+const BUTTON_ICONS = {
     mouse: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m3 3 7.07 16.97 2.51-7.39 7.39-2.51L3 3z"/><path d="m13 13 6 6"/></svg>`,
     alert: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m21.73 18-8-14a2 2 0 0 0-3.48 0l-8 14A2 2 0 0 0 4 21h16a2 2 0 0 0 1.73-3Z"/><path d="M12 9v4"/><path d="M12 17h.01"/></svg>`,
     zap: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/></svg>`,
-    eyePulse: `<svg class="animate-pulse" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z"/><circle cx="12" cy="12" r="3"/></svg>`,
+    eyePulse: `<svg class="bc-pulse" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z"/><circle cx="12" cy="12" r="3"/></svg>`,
     eye: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z"/><circle cx="12" cy="12" r="3"/></svg>`,
-    eyeOff: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9.88 9.88a3 3 0 1 0 4.24 4.24"/><path d="M10.73 5.08A10.43 10.43 0 0 1 12 5c7 0 10 7 10 7a13.16 13.16 0 0 1-1.67 2.68"/><path d="M6.61 6.61A13.526 13.526 0 0 0 2 12s3 7 10 7c.44 0 .87-.03 1.28-.09"/><line x1="2" x2="22" y1="2" y2="22"/></svg>`
+    eyeOff: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9.88 9.88a3 3 0 1 0 4.24 4.24"/><path d="M10.73 5.08A10.43 10.43 0 0 1 12 5c7 0 10 7 10 7a13.16 13.16 0 0 1-1.67 2.68"/><path d="M6.61 6.61A13.526 13.526 0 0 0 2 12s3 7 10 7c.44 0 .87-.03 1.28-.09"/><line x1="2" x2="22" y1="2" y2="22"/></svg>`,
+    trophy: `<svg xmlns="http://www.w3.org/2000/svg" width="96" height="96" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M6 9H4.5a2.5 2.5 0 0 1 0-5 2.5 2.5 0 0 1 0 5H6"/><path d="M18 9h1.5a2.5 2.5 0 0 0 0-5 2.5 2.5 0 0 0 0 5H18"/><path d="M4 22h16"/><path d="M10 14.66V17c0 .55-.47.98-.97 1.21C7.85 18.75 7 20.24 7 22"/><path d="M14 14.66V17c0 .55.47.98.97 1.21C16.15 18.75 17 20.24 17 22"/><path d="M18 2H6v7a6 6 0 0 0 12 0V2Z"/></svg>`
 };
 
-/*  
-    Game state container — easier to manage everything in one place
-    instead of multiple separate globals.
-*/
-const state = {
-    level: 0,                // difficulty stage 0 → 4
-    clickCount: 0,           // how many successful clicks so far
-    won: false,              // true when player beats level 4
-    mouseSpeed: 0,           // used only in level 4 as anti-spam mechanic
-    lastMousePos: { x: 0, y: 0 },
-    lastTime: Date.now(),
-    dodgeTimer: null,        // timer for delayed movement behavior
-    position: { x: 50, y: 50 } // x/y in %, makes positioning screen-independent
-};
-
-// UI elements (clean and easy to reference)
-const btn = document.getElementById('game-button');
-const btnIcon = document.getElementById('btn-icon');
-const btnText = document.getElementById('btn-text');
-const levelInfo = document.getElementById('level-info');
-const l4Hint = document.getElementById('l4-hint');
-const speedBar = document.getElementById('speed-bar');
-const failMsg = document.getElementById('fail-msg');
-const victoryScreen = document.getElementById('victory-screen');
-const restartBtn = document.getElementById('restart-btn');
-
-
-/* --------------------------------------------------------------
-   init() — main entry for the mini game
-   - tracks mouse speed (needed for level 4 rules)
-   - sets button interactions (hover, move, click)
-   - enables restart button
---------------------------------------------------------------- */
-function init() {
-    updatePosition(); // place button on screen instantly
-
-    // Track real-time mouse speed for level 4 mechanics
-    window.addEventListener('mousemove', (e) => {
-        const now = Date.now();
-        const dt = now - state.lastTime;
-
-        if (dt > 20) { // avoid noisy readings
-            const dx = e.clientX - state.lastMousePos.x;
-            const dy = e.clientY - state.lastMousePos.y;
-            state.mouseSpeed = Math.sqrt(dx*dx + dy*dy) / dt;
-
-            state.lastMousePos = { x: e.clientX, y: e.clientY };
-            state.lastTime = now;
-
-            // visual feedback only needed in level 4
-            if (state.level === 4) {
-                updateSpeedBar();
-                const fast = state.mouseSpeed > 0.1;
-                const isPurple = btn.classList.contains('bg-purple-600');
-                // if speed condition changed → refresh button style
-                if ((fast && !isPurple) || (!fast && isPurple)) updateUI();
+class ButtonChallenge {
+    /* ---------------------------------------------------------------
+       Stage table — one row per stage, played in order.
+       hits     successful clicks needed to clear the stage
+       dodge    escape rules:
+                enter / move  chance to jump away on pointer enter / move
+                delay         ms before an enter-dodge happens (0 = at once)
+                tap           chance a touch tap is dodged (touch has no hover)
+                speed         jump away when the pointer enters / moves over the
+                              button faster than this (px/ms)
+       steady   clicks only count below this pointer speed (px/ms)
+       warn     pointer speed that turns the speed meter red / the button "fast"
+       look     button color, text, icon, scale (+ `fast` look over `warn`)
+    --------------------------------------------------------------- */
+    static STAGES = [
+        {   // Intentionally friendly. No dodge yet.
+            hits: 1,
+            dodge: {},
+            look: { color: 'blue', text: "Don't Hit Me!", icon: 'mouse' }
+        },
+        {   // Delayed dodge on hover
+            hits: 3,
+            dodge: { enter: 1, delay: 250, tap: 0.2 },
+            look: { color: 'yellow', text: "Hey! Stop!", icon: 'alert' }
+        },
+        {   // Sometimes dodges instantly
+            hits: 3,
+            dodge: { enter: 1, move: 0.7, tap: 0.4 },
+            look: { color: 'orange', text: "I am serious!", icon: 'zap', scale: 0.75 }
+        },
+        {   // The button basically hates you now
+            hits: 2,
+            dodge: { enter: 1, move: 1, tap: 0.6 },
+            look: { color: 'red', text: "Get AWAY FROM ME!!!", icon: 'eyePulse', scale: 1.25, crazy: true }
+        },
+        {   // Final battle — movement depends purely on pointer speed
+            hits: 1,
+            dodge: { speed: 0.15 },
+            steady: 0.1,
+            warn: 0.3,
+            look: {
+                color: 'green', text: "You need to be faster!", icon: 'eyeOff', scale: 0.9,
+                fast: { color: 'purple', text: "Too Slow...", icon: 'eye', scale: 0.9, faded: true }
             }
         }
-    });
-
-    // "run away" reactions
-    btn.addEventListener('mouseenter', () => tryDodge('enter'));
-    btn.addEventListener('mousemove', () => tryDodge('move'));
-    btn.addEventListener('mousedown', handleClick);
-
-    restartBtn.addEventListener('click', resetGame);
-}
-
-
-/* ===============================================================
-   Button movement helpers
-=============================================================== */
-
-// positions the button based on state.position %
-function updatePosition() {
-    btn.style.left = state.position.x + '%';
-    btn.style.top = state.position.y + '%';
-}
+    ];
+
+    /* Stage rules at a given severity: more hits, faster and likelier
+       dodges, and a tighter speed allowance for every level above 1 */
+    static scale(stage, severity = 1) {
+        const s = Math.max(1, severity);
+        const d = stage.dodge;
+        const chance = c => c === undefined ? undefined : Math.min(1, c * (1 + (s - 1) * 0.25));
+        const speed = v => v === undefined ? undefined : v / Math.sqrt(s);
+        return {
+            ...stage,
+            hits: Math.ceil(stage.hits * (1 + (s - 1) * 0.5)),
+            dodge: {
+                enter: chance(d.enter),
+                move: chance(d.move),
+                tap: chance(d.tap),
+                delay: d.delay === undefined ? undefined : d.delay / s,
+                speed: speed(d.speed)
+            },
+            steady: speed(stage.steady),
+            warn: stage.warn
+        };
+    }
 
-// random move to a new position — core "escaping" mechanic
-function moveButton() {
-    clearTimeout(state.dodgeTimer);
-    const pad = 10;
-    state.position.x = Math.random() * (100 - pad*2) + pad;
-    state.position.y = Math.random() * (100 - pad*2) + pad;
-    updatePosition();
-}
+    constructor(options = {}) {
+        this.options = { severity: 1, timeLimit: 0, ...options };
+        this.stages = ButtonChallenge.STAGES.map(stage => ButtonChallenge.scale(stage, this.options.severity));
+        this.root = null;
+        this.timers = {};               // dodge / fail message / time limit
+        this.reset();
+    }
 
+    /* Fresh run (also "Play Again") */
+    reset() {
+        clearTimeout(this.timers.dodge);
+        clearTimeout(this.timers.fail);
+        clearInterval(this.timers.clock);
+        this.state = {
+            stage: 0,                   // stage index into this.stages
+            stageHits: 0,               // hits in the current stage
+            cleared: 0,                 // stages beaten
+            clicks: 0,                  // successful hits overall
+            misses: 0,                  // clicks that did not count (too fast)
+            over: false,                // won or timed out
+            speed: 0,                   // pointer speed (px/ms), final stage rules
+            lastPos: null,
+            lastTime: Date.now(),
+            startTime: Date.now(),
+            position: { x: 50, y: 50 }  // x/y in %, makes positioning container-independent
+        };
+        if (this.root) {
+            this.el.victory.classList.add('bc-hidden');
+            this.el.timeout.classList.add('bc-hidden');
+            this.el.button.classList.remove('bc-hidden');
+            this.startClock();
+            this.render();
+        }
+    }
 
-/* ===============================================================
-   tryDodge() decides whether the button should escape
-   Every level has a different behavior so difficulty escalates.
-=============================================================== */
-function tryDodge(type) {
-    // Level 0 is intentionally friendly. No dodge yet.
-    if (state.won || state.level === 0) return;
-
-    // Level 4 is special — movement depends purely on mouse speed
-    if (state.level === 4) {
-        if (state.mouseSpeed > 0.15) moveButton();
-        return;
+    /* ---------------------------------------------------------------
+       Mount / unmount
+    --------------------------------------------------------------- */
+    mount(container) {
+        if (this.root) this.unmount();
+        const root = document.createElement('div');
+        root.className = 'bc-root';
+        root.innerHTML = `
+            <div class="bc-header">
+                <h1>Hit the Button</h1>
+                <p class="bc-info"></p>
+                <p class="bc-note"></p>
+                <div class="bc-fail bc-hidden">I am always Faster than you!</div>
+                <div class="bc-meter bc-hidden">
+                    <p>Final Battle!</p>
+                    <div class="bc-meter-track"><div class="bc-meter-bar"></div></div>
+                    <p class="bc-small">speed-bar</p>
+                </div>
+            </div>
+            <button class="bc-button"><span class="bc-icon"></span><span class="bc-text"></span></button>
+            <div class="bc-panel bc-victory bc-hidden">
+                <div class="bc-trophy">${BUTTON_ICONS.trophy}</div>
+                <h2>You got him！</h2>
+                <p>You Win!<span class="bc-small bc-result"></span></p>
+                <div class="bc-actions">
+                    <button class="bc-restart">Play Again</button>
+                    <button class="bc-back">Back to Maze</button>
+                </div>
+            </div>
+            <div class="bc-panel bc-timeout bc-hidden">
+                <h2>Time's up!</h2>
+                <p>The button wins this time.<span class="bc-small bc-result"></span></p>
+                <div class="bc-actions"><button class="bc-restart">Try Again</button></div>
+            </div>`;
+        const $ = sel => root.querySelector(sel);
+        this.el = {
+            info: $('.bc-info'), fail: $('.bc-fail'), meter: $('.bc-meter'), bar: $('.bc-meter-bar'),
+            button: $('.bc-button'), icon: $('.bc-icon'), text: $('.bc-text'),
+            victory: $('.bc-victory'), timeout: $('.bc-timeout')
+        };
+        if (!this.options.onBack) $('.bc-back').classList.add('bc-hidden');
+        $('.bc-note').textContent = this.options.note || '';
+
+        // Pointer events cover mouse, pen and touch alike
+        root.addEventListener('pointermove', e => this.trackSpeed(e));
+        root.addEventListener('pointerdown', e => this.trackSpeed(e));
+        this.el.button.addEventListener('pointerenter', e => e.pointerType !== 'touch' && this.tryDodge('enter'));
+        this.el.button.addEventListener('pointermove', e => e.pointerType !== 'touch' && this.tryDodge('move'));
+        this.el.button.addEventListener('pointerdown', e => {
+            e.preventDefault();
+            if (e.pointerType === 'touch' && this.tryDodge('tap')) return;
+            this.handleClick();
+        });
+        root.querySelectorAll('.bc-restart').forEach(btn => btn.addEventListener('click', () => this.reset()));
+        $('.bc-back').addEventListener('click', () => this.options.onBack && this.options.onBack());
+
+        container.appendChild(root);
+        this.root = root;
+        this.reset();
+        return this;
     }
 
-    // Level 1 — delayed dodge on hover
-    if (state.level === 1) {
-        if (type === 'move') return; 
-        state.dodgeTimer = setTimeout(moveButton, 250);
-        return;
+    unmount() {
+        clearTimeout(this.timers.dodge);
+        clearTimeout(this.timers.fail);
+        clearInterval(this.timers.clock);
+        if (this.root) this.root.remove();
+        this.root = null;
     }
 
-    // Level 2 — sometimes dodges instantly (70% chance)
-    if (state.level === 2) {
-        if (type === 'enter' || Math.random() > 0.3) moveButton();
-        return;
+    get stage() {
+        return this.stages[this.state.stage];
     }
 
-    // Level 3 — button basically hates you now
-    if (state.level === 3) {
-        moveButton();
-        return;
+    result() {
+        const s = this.state;
+        return {
+            time: Math.round((Date.now() - s.startTime) / 100) / 10,
+            stagesCleared: s.cleared,
+            stages: this.stages.length,
+            clicks: s.clicks,
+            misses: s.misses,
+            severity: this.options.severity
+        };
     }
-}
 
+    /* ---------------------------------------------------------------
+       Input
+    --------------------------------------------------------------- */
 
-/* ===============================================================
-   handleClick() — main mini game progression logic
-   Each level requires a certain number of successful hits.
-=============================================================== */
-function handleClick() {
-    if (state.won) return;
-
-    // Level 4 rule: if you move mouse too fast, you fail
-    if (state.level === 4) {
-        if (state.mouseSpeed > 0.1) {
-            moveButton();
-            showFailMessage();
+    // Real-time pointer speed for the final stage's rules
+    trackSpeed(e) {
+        const s = this.state;
+        const now = Date.now();
+        const dt = now - s.lastTime;
+        if (!s.lastPos || e.type === 'pointerdown' && e.pointerType === 'touch') {
+            // A new touch starts where the finger lands — no jump from the last one
+            s.lastPos = { x: e.clientX, y: e.clientY };
+            s.lastTime = now;
             return;
         }
+        if (dt <= 20) return;   // avoid noisy readings
+
+        const dx = e.clientX - s.lastPos.x;
+        const dy = e.clientY - s.lastPos.y;
+        s.speed = Math.sqrt(dx * dx + dy * dy) / dt;
+        s.lastPos = { x: e.clientX, y: e.clientY };
+        s.lastTime = now;
+
+        if (this.stage.warn !== undefined) this.render();
     }
 
-    clearTimeout(state.dodgeTimer);
-    state.clickCount++;
-
-    // Level progression thresholds
-    if (state.level === 0) state.level = 1;
-    else if (state.level === 1 && state.clickCount > 3) state.level = 2;
-    else if (state.level === 2 && state.clickCount > 6) state.level = 3;
-    else if (state.level === 3 && state.clickCount > 8) state.level = 4;
-    else if (state.level === 4) { // final win
-        state.won = true;
-        showVictory();
-        return;
-    } 
-    else moveButton(); // if no level up, just dodge again
-
-    updateUI();
-}
+    /* Decide whether the button escapes; true when it did (or will) */
+    tryDodge(type) {
+        if (this.state.over) return false;
+        const d = this.stage.dodge;
+
+        // Speed stage — a fast pointer over the button always scares it off
+        if (d.speed !== undefined && type !== 'tap') {
+            if (this.state.speed <= d.speed) return false;
+            this.moveButton();
+            return true;
+        }
 
+        const chance = d[type];
+        if (!chance || Math.random() >= chance) return false;
 
-/* Simple temporary fail indicator */
-function showFailMessage() {
-    failMsg.classList.remove('hidden');
-    clearTimeout(state.failTimer);
-    state.failTimer = setTimeout(() => failMsg.classList.add('hidden'), 1000);
-}
+        clearTimeout(this.timers.dodge);
+        if (type === 'enter' && d.delay) this.timers.dodge = setTimeout(() => this.moveButton(), d.delay);
+        else this.moveButton();
+        return true;
+    }
 
-/* End game screen */
-function showVictory() {
-    victoryScreen.classList.remove('hidden');
-    victoryScreen.classList.add('animate-fade-in');
-    btn.classList.add('hidden');
-}
+    /* Main progression — each stage needs `hits` successful clicks */
+    handleClick() {
+        const s = this.state;
+        if (s.over) return;
 
-/* Full restart */
-function resetGame() {
-    state.level = 0;
-    state.clickCount = 0;
-    state.won = false;
-    state.position = { x: 50, y: 50 };
-    state.mouseSpeed = 0;
+        // Final stage rule: if you move too fast, the click does not count
+        if (this.stage.steady !== undefined && s.speed > this.stage.steady) {
+            s.misses++;
+            this.moveButton();
+            this.showFailMessage();
+            return;
+        }
 
-    victoryScreen.classList.add('hidden');
-    victoryScreen.classList.remove('animate-fade-in');
-    btn.classList.remove('hidden');
+        clearTimeout(this.timers.dodge);
+        s.clicks++;
+        s.stageHits++;
+        if (s.stageHits >= this.stage.hits) {
+            s.cleared++;
+            if (s.stage === this.stages.length - 1) return this.win();
+            s.stage++;
+            s.stageHits = 0;
+        }
+        else this.moveButton();   // if no stage up, just dodge again
+        this.render();
+    }
 
-    updatePosition();
-    updateUI();
-}
+    /* ---------------------------------------------------------------
+       Movement + outcome
+    --------------------------------------------------------------- */
+
+    // Random move to a new position — core "escaping" mechanic
+    moveButton() {
+        clearTimeout(this.timers.dodge);
+        const pad = 10;
+        this.state.position.x = Math.random() * (100 - pad * 2) + pad;
+        this.state.position.y = Math.random() * (100 - pad * 2) + pad;
+        this.updatePosition();
+    }
 
+    updatePosition() {
+        if (!this.root) return;
+        this.el.button.style.left = this.state.position.x + '%';
+        this.el.button.style.top = this.state.position.y + '%';
+    }
 
-/* ===============================================================
-   Level 4 — speed meter visual effect (psychological attack)
-=============================================================== */
-function updateSpeedBar() {
-    const amount = Math.min(state.mouseSpeed * 100, 100);
-    speedBar.style.width = amount + '%';
-
-    if (state.mouseSpeed > 0.3) {
-        speedBar.classList.replace('bg-green-500', 'bg-red-500');
-    } else {
-        speedBar.classList.replace('bg-red-500', 'bg-green-500');
+    startClock() {
+        clearInterval(this.timers.clock);
+        if (!this.options.timeLimit) return;
+        this.timers.clock = setInterval(() => {
+            if ((Date.now() - this.state.startTime) / 1000 >= this.options.timeLimit) this.timeOut();
+            else this.render();
+        }, 250);
     }
-}
 
+    win() {
+        this.state.over = true;
+        this.end(this.el.victory);
+        if (this.options.onComplete) this.options.onComplete(this.result());
+    }
 
-/* ===============================================================
-   updateUI() — applies theme + text for each level
-=============================================================== */
-function updateUI() {
-    levelInfo.textContent = `Level ${state.level} / 4 (Clicks: ${state.clickCount})`;
-
-    // only visible in last stage
-    state.level === 4 ? l4Hint.classList.remove('hidden') : l4Hint.classList.add('hidden');
-
-    const base = "shadow-2xl rounded-2xl px-6 py-4 flex items-center gap-3 font-bold text-white whitespace-nowrap border-b-4 border-black/20 active:border-b-0 active:translate-y-1 absolute transition-all";
-
-    switch (state.level) {
-        case 0:
-            btn.className = `${base} bg-blue-600 hover:bg-blue-700`;
-            btnText.textContent = "Don't Hit Me!";
-            btnIcon.innerHTML = icons.mouse;
-            break;
-
-        case 1:
-            btn.className = `${base} bg-yellow-500 hover:bg-yellow-600`;
-            btnText.textContent = "Hey! Stop!";
-            btnIcon.innerHTML = icons.alert;
-            break;
-
-        case 2:
-            btn.className = `${base} bg-orange-500 hover:bg-orange-600 scale-75`;
-            btnText.textContent = "I am serious!";
-            btnIcon.innerHTML = icons.zap;
-            break;
-
-        case 3:
-            btn.className = `${base} bg-red-600 hover:bg-red-700 scale-125 animate-bounce-crazy`;
-            btnText.textContent = "Get AWAY FROM ME!!!";
-            btnIcon.innerHTML = icons.eyePulse;
-            break;
-
-        case 4:
-            const fast = state.mouseSpeed > 0.3;
-            if (fast) {
-                btn.className = `${base} bg-purple-600 opacity-50 scale-90`;
-                btnText.textContent = "Too Slow...";
-                btnIcon.innerHTML = icons.eye;
-            } else {
-                btn.className = `${base} bg-green-600 scale-90`;
-                btnText.textContent = "You need to be faster!";
-                btnIcon.innerHTML = icons.eyeOff;
-            }
-            break;
+    timeOut() {
+        this.state.over = true;
+        this.end(this.el.timeout);
+        if (this.options.onFail) this.options.onFail(this.result());
+    }
+
+    end(panel) {
+        clearInterval(this.timers.clock);
+        clearTimeout(this.timers.dodge);
+        this.render();
+        const r = this.result();
+        panel.querySelector('.bc-result').textContent =
+            `${r.time}s · ${r.stagesCleared}/${r.stages} stages · ${r.clicks} hits · ${r.misses} misses`;
+        panel.classList.remove('bc-hidden');
+        this.el.button.classList.add('bc-hidden');
+    }
+
+    // Temporary fail indicator
+    showFailMessage() {
+        this.el.fail.classList.remove('bc-hidden');
+        clearTimeout(this.timers.fail);
+        this.timers.fail = setTimeout(() => this.el.fail.classList.add('bc-hidden'), 1000);
     }
-}
 
-init(); // Start game
+    /* ---------------------------------------------------------------
+       render() — applies theme + text for the current stage
+    --------------------------------------------------------------- */
+    render() {
+        if (!this.root) return;
+        const s = this.state;
+        const stage = this.stage;
+        const last = this.stages.length - 1;
+        const left = this.options.timeLimit ? ` · ${Math.max(0, Math.ceil(this.options.timeLimit - (Date.now() - s.startTime) / 1000))}s` : '';
+        const severity = this.options.severity > 1 ? ` · Severity ×${this.options.severity}` : '';
+        this.el.info.textContent = `Level ${s.stage} / ${last} (Clicks: ${s.clicks})${severity}${left}`;
+
+        // Speed meter (psychological attack) only where speed matters
+        const meter = stage.warn !== undefined;
+        this.el.meter.classList.toggle('bc-hidden', !meter);
+        const fast = meter && s.speed > stage.warn;
+        if (meter) {
+            this.el.bar.style.width = Math.min(s.speed * 100, 100) + '%';
+            this.el.bar.classList.toggle('bc-danger', fast);
+        }
 
+        const look = fast && stage.look.fast ? stage.look.fast : stage.look;
+        const btn = this.el.button;
+        btn.className = `bc-button bc-${look.color}` + (look.crazy ? ' bc-crazy' : '') + (look.faded ? ' bc-faded' : '') +
+            (s.over ? ' bc-hidden' : '');
+        btn.style.setProperty('--bc-scale', look.scale || 1);
+        this.el.text.textContent = look.text;
+        this.el.icon.innerHTML = BUTTON_ICONS[look.icon];
+        this.updatePosition();
+    }
+}
@@ -8,10 +8,127 @@ const CONFIG = {
     defaultMaxBounces: 20,      // static puzzle levels
     complexMaxBounces: 150,     // maze/procedural levels
 
+    // Logical playfield — every level is built and scored in these units;
+    // the canvas is scaled to fit the window (see PhotonGame.resize)
+    world: { width: 1200, height: 800 },
+    viewport: { maxWidth: 0.98, maxHeight: 0.9 },   // share of the window the canvas may fill
+
     // Refraction indexes for Snell's law
     refractiveIndex: 1.5,       // inside glass
     airIndex: 1.0,              // surrounding medium
 
+    // Dispersive glass — Cauchy model n(λ) = A + B/λ² (λ in µm).
+    // B is exaggerated well beyond real flint glass so the fan is visible.
+    dispersion: { A: 1.6, B: 0.05 },
+
+    // Spectrum bands white light splits into (wavelength in nm)
+    spectrum: [
+        { name: 'red',    wavelength: 650, color: '#ff3b3b' },
+        { name: 'orange', wavelength: 600, color: '#ff9a1f' },
+        { name: 'yellow', wavelength: 575, color: '#ffe83b' },
+        { name: 'green',  wavelength: 530, color: '#3bff6a' },
+        { name: 'blue',   wavelength: 470, color: '#3b8bff' },
+        { name: 'violet', wavelength: 420, color: '#b03bff' }
+    ],
+
+    // Beam splitting (Fresnel partial reflection)
+    beam: {
+        minIntensity: 0.02,     // branches weaker than this are pruned
+        targetPower: 0.5,       // default minPower of white-light targets (a glint off glass doesn't count)
+        maxBranches: 64         // cap on ray-tree nodes per shot
+    },
+
+    // Precision aiming (degrees) — see input.js
+    aim: {
+        coarseStep: 1,          // ←/→, D-pad
+        fineStep: 0.05,         // Shift+←/→, LB/RB
+        repeatDelta: 0.05,      // "repeat last shot ±δ"
+        stickSpeed: 90,         // °/s at full stick deflection
+        deadzone: 0.15
+    },
+
+    // Inventory puzzle mode — see inventory.js
+    puzzle: {
+        pieceLength: 0.12,      // default piece length (share of the shorter side)
+        piecePenalty: 250,      // score cost of each placed piece (world units of path)
+        clearance: 14,          // world units a piece must keep from emitter / target rim
+        rotateStep: 15          // degrees per wheel notch / Z X press
+    },
+
+    // Procedural maze difficulty curve — see MazeGenerator.curve
+    maze: {
+        tiers: [[10, 6], [16, 9], [22, 14]],    // cols × rows of the first mazes
+        growth: [3, 2],                         // cols / rows added per maze after them
+        maxSize: [34, 22],
+        algorithms: ['prim', 'kruskal', 'eller', 'division', 'braid'],  // rotation after the tiers
+        breakChance: { start: 0.35, decay: 0.03, min: 0.12 },
+        absorb: { step: 0.02, max: 0.12 },      // absorber weight added per maze
+        minTurns: { step: 2, max: 12 }          // emitter→target path turns asked of place()
+    },
+
+    // Daily challenge — see daily.js
+    daily: {
+        firstStep: 3,           // maze curve step of the rotation's first day
+        steps: 5,               // days before the rotation repeats
+        leaderboardSize: 10     // runs kept per day
+    },
+
+    // What happens after too many failed rounds — see failure.js
+    failure: {
+        modes: ['redirect', 'overlay', 'hint', 'penalty', 'off'],
+        threshold: 10,          // failed rounds before the policy triggers (levels may set failureThreshold)
+        penalty: 200            // score added to this layout's clears per trigger (penalty mode)
+    },
+
+    // Progressive hints — see hints.js
+    hints: {
+        sectors: [40, 10]       // launch sector widths (degrees) of the first hints, widest first;
+                                // each divides 360 and the width before it, so the sectors nest
+    },
+
+    // Return from button.html — see handoff.js
+    handoff: {
+        reward: {
+            // One-time trajectory hint: bounces revealed for the first tier the run beats (s)
+            tiers: [{ time: 20, bounces: 6 }, { time: 40, bounces: 3 }, { time: Infinity, bounces: 1 }],
+            missCost: 5         // seconds added per too-fast click
+        }
+    },
+
+    // Stars and points of a clear — see scoring.js
+    scoring: {
+        maxPoints: 1000,        // points of a perfect clear (at par, within budget)
+        parSlack: 0.05,         // share over par that still earns the par star
+        attemptBudget: 5,       // shots per emitter before clears lose points (levels may set attemptBudget)
+        attemptFloor: 0.25,     // lowest attempt factor however many shots it took
+        noParLength: 0.5        // length factor of clears on levels without a par (and no par star)
+    },
+
+    // Aim preview assist — bounces of the predicted path shown per difficulty
+    difficulties: {
+        easy:   { previewBounces: 8 },
+        normal: { previewBounces: 3 },
+        hard:   { previewBounces: 1 }
+    },
+
+    // Beam travel speed presets (world units per second) for shot animation
+    beamSpeeds: {
+        slow: 300,
+        normal: 900,
+        fast: 2500,
+        instant: Infinity
+    },
+
+    // Player settings (persisted by ProgressStore)
+    defaultSettings: {
+        editorSnap: true,       // level editor grid snapping
+        preview: false,         // live trajectory preview while aiming
+        difficulty: 'normal',   // key into difficulties
+        beamSpeed: 'normal',    // key into beamSpeeds
+        playerName: '',         // daily leaderboard name (asked on first clear)
+        failureMode: 'redirect' // key into failure.modes
+    },
+
     // Rendering colors
     colors: {
         active: '#fff',         // current ray
@@ -21,6 +138,7 @@ const CONFIG = {
         old:  '#442244',
         wall:'#00ccff',
         glass:'rgba(200,255,255,0.3)',
+        dispersive:'rgba(255,220,255,0.45)',
         absorb:'#333'
     }
 };
@@ -0,0 +1,95 @@
+/* ======================================================================
+   Daily Challenge — one shared procedural maze per calendar day
+   The UTC date picks the maze seed and its step on the difficulty curve
+   (MazeGenerator.curve), so everyone gets the same layout for a given
+   playfield size. A clear is shared as a result string that anyone can
+   verify by rebuilding that maze and re-tracing the recorded angle:
+
+     PMD1:2026-10-19:1200x800:37.25:1884:6:0:Ada
+          date       size     angle length attempts assisted name
+
+   DOM-free, so results can be checked headlessly (tools/verify-daily.js).
+====================================================================== */
+const DailyChallenge = {
+    PREFIX: 'PMD1',
+
+    // 'YYYY-MM-DD' of a date (UTC, so the day flips at the same moment everywhere)
+    key(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    },
+
+    isKey(key) {
+        return typeof key === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(key) &&
+            !isNaN(Date.parse(key)) && new Date(key).toISOString().startsWith(key);
+    },
+
+    // FNV-1a hash of the date → 32-bit maze seed
+    seed(key) {
+        let hash = 0x811c9dc5;
+        for (const ch of `photon-maze:${key}`) hash = Math.imul(hash ^ ch.charCodeAt(0), 0x01000193);
+        return hash >>> 0;
+    },
+
+    // Difficulty curve step — rotates through CONFIG.daily.steps mazes day by day
+    step(key) {
+        const day = Math.floor(Date.parse(key) / 86400000);
+        return CONFIG.daily.firstStep + day % CONFIG.daily.steps;
+    },
+
+    /* The day's level for a w×h playfield (see MazeGenerator.buildLevel) */
+    build(key, w, h) {
+        return MazeGenerator.buildLevel(DailyChallenge.step(key), DailyChallenge.seed(key), w, h);
+    },
+
+    /* --------------------------------------------------------------------------
+       Result strings
+       run: { key, w, h, angle (degrees), length, attempts, assisted, name }
+    -------------------------------------------------------------------------- */
+    encode(run) {
+        return [DailyChallenge.PREFIX, run.key, `${run.w}x${run.h}`, run.angle, run.length,
+            run.attempts, run.assisted ? 1 : 0, encodeURIComponent(run.name)].join(':');
+    },
+
+    // Parse a result string; throws an Error saying what is wrong with it
+    decode(text) {
+        const parts = String(text).trim().split(':');
+        if (parts[0] !== DailyChallenge.PREFIX || parts.length !== 8) throw new Error(`not a daily result (expected ${DailyChallenge.PREFIX}:…)`);
+
+        const [, key, size, angle, length, attempts, assisted, name] = parts;
+        const [w, h] = size.split('x').map(Number);
+        const run = { key, w, h, angle: Number(angle), length: Number(length), attempts: Number(attempts), assisted: assisted === '1' };
+        if (!DailyChallenge.isKey(key)) throw new Error(`bad date "${key}"`);
+        if (!(Number.isInteger(w) && Number.isInteger(h) && w > 0 && h > 0)) throw new Error(`bad playfield size "${size}"`);
+        if (!isFinite(run.angle)) throw new Error(`bad angle "${angle}"`);
+        if (!(Number.isInteger(run.length) && Number.isInteger(run.attempts))) throw new Error("bad length or attempt count");
+        try { run.name = decodeURIComponent(name); }
+        catch (e) { throw new Error("bad player name"); }
+        return run;
+    },
+
+    /* --------------------------------------------------------------------------
+       Rebuild the run's maze and fire its angle again.
+       Returns: { ok, run, length (re-traced), reason }
+    -------------------------------------------------------------------------- */
+    verify(text) {
+        let run;
+        try { run = DailyChallenge.decode(text); }
+        catch (err) { return { ok: false, run: null, length: null, reason: err.message }; }
+
+        const level = DailyChallenge.build(run.key, run.w, run.h);
+        const rad = run.angle * Math.PI / 180;
+        const result = Optics.traceRay({
+            walls: level.walls,
+            start: level.emitter,
+            dir: { x: Math.cos(rad), y: Math.sin(rad) },
+            maxBounces: level.maxBounces,
+            target: level.target
+        });
+        const length = Math.floor(Optics.pathLength(result.path));
+
+        const reason = !result.success ? `the shot misses the target (${result.outcome})`
+            : length !== run.length ? `the shot is ${length} units long, not ${run.length}`
+            : null;
+        return { ok: !reason, run, length, reason };
+    }
+};
@@ -0,0 +1,326 @@
+/* ============================================================================
+   LevelEditor — in-canvas authoring mode for PhotonGame
+   - Drag emitters, targets, checkpoint / forbidden nodes, wall endpoints or whole walls
+   - Drag on empty space to draw a new wall of the selected element type
+   - Edit the selected element's parameters (focal length, bulge, link…)
+   - Optional grid snapping, live test-fire, save as a level file
+   Edits operate directly on game.walls so test shots use the real tracer.
+
+   Keys: 1-9 element type · G snap · F test-fire · Delete remove wall
+============================================================================ */
+
+class LevelEditor {
+    constructor(game) {
+        this.game = game;
+        this.active = false;
+        this.tool = 'mirror';          // Material for new walls / selected wall
+        this.snap = game.settings.editorSnap;
+        this.gridSteps = 40;           // Grid cells across the shorter world side
+        this.selected = null;          // Selected wall object
+        this.drag = null;              // { kind, ... } while the mouse is held
+
+        this.ui = {
+            bar: document.getElementById('editor-bar'),
+            toggle: document.getElementById('editor-toggle'),
+            snap: document.getElementById('editor-snap'),
+            type: document.getElementById('editor-type'),
+            params: document.getElementById('editor-params')
+        };
+
+        // Element picker lists every registered type
+        Object.keys(Elements.types).forEach((type, i) => {
+            const opt = document.createElement('option');
+            opt.value = type;
+            opt.textContent = i < 9 ? `${i + 1} ${type}` : type;
+            this.ui.type.appendChild(opt);
+        });
+
+        this.bindEvents();
+    }
+
+    /* --------------------------------------------------------------------------
+       Mode switching
+    -------------------------------------------------------------------------- */
+    toggle() {
+        if (!this.active && this.game.building) return;     // Nothing to edit until the maze is built
+        // An edited layout leaves as a play-test (play), never on the level's record
+        if (this.active && this.game.edited) return this.play();
+        this.setActive(!this.active);
+    }
+
+    setActive(active) {
+        this.active = active;
+        this.selected = null;
+        this.drag = null;
+        this.game.history = [];
+        this.ui.bar.classList.toggle('active', this.active);
+        this.ui.toggle.classList.toggle('on', this.active);
+        if (this.active) this.game.movingWalls.forEach(wall => Motion.reset(wall));
+        else this.game.indexWalls();
+        this.updateToolbar();
+    }
+
+    setTool(type) {
+        this.tool = type;
+        // Switching type also converts the selected element
+        if (this.selected && this.selected.type !== type) {
+            Elements.retype(this.selected, type);
+            this.markEdited();
+        }
+        this.updateToolbar();
+    }
+
+    toggleSnap() {
+        this.snap = !this.snap;
+        this.game.settings.editorSnap = this.snap;
+        this.game.saveProgress();
+        this.updateToolbar();
+    }
+
+    updateToolbar() {
+        this.ui.type.value = this.tool;
+        this.ui.snap.classList.toggle('on', this.snap);
+        this.updateParams();
+    }
+
+    // One input per parameter of the selected element
+    updateParams() {
+        this.ui.params.innerHTML = '';
+        if (!this.selected) return;
+
+        const el = this.selected;
+        const { width: w, height: h } = this.game.world;
+        Object.entries(Elements.get(el.type).params).forEach(([key, p]) => {
+            const unit = p.scale === 'length' ? Math.min(w, h) : 1;
+            let input;
+            if (p.kind === 'color') {
+                input = document.createElement('select');
+                CONFIG.spectrum.forEach(b => input.add(new Option(b.name, b.name)));
+            } else {
+                input = document.createElement('input');
+                input.type = p.kind === 'number' ? 'number' : 'text';
+                if (p.kind === 'number') Object.assign(input, { min: p.min, max: p.max, step: 0.01 });
+            }
+            input.value = p.kind === 'number' ? Math.round(el[key] / unit * 100) / 100 : el[key];
+            input.title = key;
+            input.addEventListener('change', () => {
+                const v = p.kind === 'number' ? parseFloat(input.value) : input.value;
+                if (p.kind === 'number' && !(v >= p.min && v <= p.max)) return;
+                el[key] = p.kind === 'number' ? v * unit : v;
+                Elements.refresh(el);
+                this.markEdited();
+            });
+
+            const label = document.createElement('label');
+            label.textContent = key + ' ';
+            label.appendChild(input);
+            this.ui.params.appendChild(label);
+        });
+    }
+
+    /* --------------------------------------------------------------------------
+       Input — mouse drives dragging/drawing, keys switch tools
+    -------------------------------------------------------------------------- */
+    bindEvents() {
+        const canvas = this.game.canvas;
+        canvas.addEventListener('mousedown', e => this.active && this.onPointerDown(e));
+        window.addEventListener('mousemove', () => this.active && this.onPointerMove());
+        window.addEventListener('mouseup', () => this.active && this.onPointerUp());
+
+        window.addEventListener('keydown', e => {
+            if (!this.active || e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            const types = Object.keys(Elements.types);
+            if (e.key >= '1' && e.key <= '9' && types[e.key - 1]) this.setTool(types[e.key - 1]);
+            else if (e.key === 'g' || e.key === 'G') this.toggleSnap();
+            else if (e.key === 'f' || e.key === 'F') this.testFire();
+            else if (e.key === 'Delete' || e.key === 'Backspace') this.deleteSelected();
+        });
+    }
+
+    // Draggable points with their grab radius (moved in place, so the
+    // game's emitter / target references stay valid)
+    handles() {
+        const g = this.game;
+        return [
+            ...g.emitters.map(point => ({ point, r: 14 })),
+            ...[...g.targets, ...g.checkpoints, ...g.forbidden].map(point => ({ point, r: point.r + 6 }))
+        ];
+    }
+
+    onPointerDown(e) {
+        e.preventDefault();
+        const m = this.game.mouse;
+        const g = this.game;
+
+        // Priority: emitters / targets / nodes, wall endpoints, wall body, empty space
+        const handle = this.handles().find(hd => Vec2.dist(m, hd.point) < hd.r);
+        if (handle) {
+            this.drag = { kind: 'point', point: handle.point };
+            return;
+        }
+
+        for (const wall of this.editableWalls()) {
+            if (Vec2.dist(m, wall.a) < 10) { this.select(wall, { kind: 'end', end: 'a' }); return; }
+            if (Vec2.dist(m, wall.b) < 10) { this.select(wall, { kind: 'end', end: 'b' }); return; }
+        }
+        for (const wall of this.editableWalls()) {
+            if (Optics.segmentPointDistance(wall.a, wall.b, m) < 6) {
+                this.select(wall, { kind: 'move', last: this.snapPoint(m) });
+                return;
+            }
+        }
+
+        // Start drawing a new wall
+        const p = this.snapPoint(m);
+        const wall = Elements.create(this.tool, p, p);
+        g.walls.push(wall);
+        this.select(wall, { kind: 'end', end: 'b', isNew: true });
+    }
+
+    onPointerMove() {
+        if (!this.drag) return;
+        const g = this.game;
+        const p = this.snapPoint(g.mouse);
+
+        if (this.drag.kind === 'point') Object.assign(this.drag.point, p);
+        else if (this.drag.kind === 'end') this.selected[this.drag.end] = p;
+        else if (this.drag.kind === 'move') {
+            const delta = Vec2.sub(p, this.drag.last);
+            this.selected.a = Vec2.add(this.selected.a, delta);
+            this.selected.b = Vec2.add(this.selected.b, delta);
+            this.drag.last = p;
+        }
+
+        if (this.selected) {
+            Elements.refresh(this.selected);
+            if (this.selected.motion) Motion.rebase(this.selected);
+        }
+        this.markEdited();
+    }
+
+    onPointerUp() {
+        // Discard zero-length walls from a click without a drag
+        if (this.drag && this.drag.isNew && Vec2.dist(this.selected.a, this.selected.b) < 1) {
+            this.removeWall(this.selected);
+            this.selected = null;
+            this.updateParams();
+        }
+        this.drag = null;
+    }
+
+    select(wall, drag) {
+        this.selected = wall;
+        this.drag = drag;
+        this.tool = wall.type;
+        this.updateToolbar();
+    }
+
+    deleteSelected() {
+        if (!this.selected) return;
+        this.removeWall(this.selected);
+        this.selected = null;
+        this.updateParams();
+    }
+
+    removeWall(wall) {
+        const i = this.game.walls.indexOf(wall);
+        if (i >= 0) this.game.walls.splice(i, 1);
+        this.markEdited();
+    }
+
+    // The layout no longer matches its level: no par, no records (PhotonGame.edited)
+    markEdited() {
+        this.game.solution = null;
+        this.game.edited = true;
+    }
+
+    // The first four walls are the fixed playfield border
+    editableWalls() {
+        return this.game.walls.slice(4);
+    }
+
+    snapPoint(p) {
+        const { width: w, height: h } = this.game.world;
+        const clamp = (v, max) => Math.max(0, Math.min(max, v));
+        if (!this.snap) return { x: clamp(p.x, w), y: clamp(p.y, h) };
+
+        const step = Math.min(w, h) / this.gridSteps;
+        return {
+            x: clamp(Math.round(p.x / step) * step, w),
+            y: clamp(Math.round(p.y / step) * step, h)
+        };
+    }
+
+    /* --------------------------------------------------------------------------
+       Actions
+    -------------------------------------------------------------------------- */
+
+    // Fire a preview ray toward the cursor without counting an attempt
+    testFire() {
+        const g = this.game;
+        g.recordShot(g.traceRay(g.emitter, g.getAimDirection()));
+    }
+
+    // Download the edited layout through the level file format
+    save() {
+        const name = prompt("Level name:", this.game.ui.desc.innerText || "CUSTOM");
+        if (name === null) return;
+        this.game.ui.desc.innerText = name.trim() || "CUSTOM";
+        this.game.downloadLevel();
+    }
+
+    // Leave the editor and play-test the edited layout as a one-level pack —
+    // off the record; "Back" / "Campaign" returns to the level it came from.
+    // Leaving an edited layout with the toggle comes here too
+    play() {
+        const level = LevelFormat.parse(this.game.exportLevel());
+        this.setActive(false);
+        this.game.loadPack(level);
+    }
+
+    /* --------------------------------------------------------------------------
+       Overlay rendering (called from PhotonGame.animate)
+    -------------------------------------------------------------------------- */
+    draw(ctx) {
+        if (!this.active) return;
+        const { width: w, height: h } = this.game.world;
+
+        // Snap grid
+        if (this.snap) {
+            const step = Math.min(w, h) / this.gridSteps;
+            ctx.beginPath();
+            for (let x = 0; x <= w; x += step) { ctx.moveTo(x, 0); ctx.lineTo(x, h); }
+            for (let y = 0; y <= h; y += step) { ctx.moveTo(0, y); ctx.lineTo(w, y); }
+            ctx.strokeStyle = 'rgba(0,200,255,0.07)';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+
+        // Endpoint handles, selected wall highlighted
+        this.editableWalls().forEach(wall => {
+            const isSel = wall === this.selected;
+            ctx.fillStyle = isSel ? '#ff0' : 'rgba(255,255,255,0.6)';
+            [wall.a, wall.b].forEach(p => ctx.fillRect(p.x - 3, p.y - 3, 6, 6));
+
+            if (isSel) {
+                ctx.beginPath();
+                ctx.moveTo(wall.a.x, wall.a.y);
+                ctx.lineTo(wall.b.x, wall.b.y);
+                ctx.strokeStyle = 'rgba(255,255,0,0.5)';
+                ctx.lineWidth = 10;
+                ctx.stroke();
+            }
+        });
+
+        // Drag rings around emitters, targets and nodes
+        ctx.setLineDash([3, 3]);
+        ctx.strokeStyle = 'rgba(255,255,255,0.4)';
+        ctx.lineWidth = 1;
+        this.handles().forEach(({ point, r }) => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, r, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+    }
+}
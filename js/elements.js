@@ -0,0 +1,372 @@
+/* ======================================================================
+   Optical Elements — pluggable registry of wall types
+   Every element is a segment a→b (plus optional parameters) and its type
+   definition supplies the behaviour:
+
+     intersect(el, p, d)       → { t, point, normal } | null   (default: straight segment)
+     interact(el, hit, beam, scene) → [{ dir, band, intensity, origin? }]
+                                  outgoing beams; [] absorbs, origin teleports
+     draw(ctx, el)             → canvas rendering
+     prepare(el)               → recompute derived geometry after edits
+     bounds(el)                → { minX, minY, maxX, maxY } (default: segment box)
+     params                    → { name: { kind, default, min?, max?, scale? } }
+                                  kind: 'number' | 'string' | 'color'
+                                  scale 'length' = stored relative to the
+                                  shorter playfield side in level files
+     spark                     → { color, speed } hit particles (optional)
+
+   DOM-free: draw() only touches the context it is handed.
+====================================================================== */
+const Elements = {
+    types: {},
+
+    register(type, def) {
+        Elements.types[type] = { params: {}, ...def };
+    },
+
+    get(type) {
+        return Elements.types[type];
+    },
+
+    /* --------------------------------------------------------------------------
+       Construction — pixel endpoints + parameters already in pixel units
+    -------------------------------------------------------------------------- */
+    create(type, a, b, params = {}) {
+        const el = Optics.makeWall(a.x, a.y, b.x, b.y, type);
+        const def = Elements.get(type);
+        Object.entries(def.params).forEach(([key, p]) => {
+            el[key] = params[key] !== undefined ? params[key] : p.default;
+        });
+        return Elements.refresh(el);
+    },
+
+    // Build from normalized level data (x1..y2 + params + motion?) for a w×h playfield
+    fromSpec(spec, w, h) {
+        const def = Elements.get(spec.type);
+        const params = {};
+        Object.entries(def.params).forEach(([key, p]) => {
+            const v = spec[key] !== undefined ? spec[key] : p.default;
+            params[key] = p.scale === 'length' ? v * Math.min(w, h) : v;
+        });
+        const el = Elements.create(spec.type, { x: spec.x1 * w, y: spec.y1 * h }, { x: spec.x2 * w, y: spec.y2 * h }, params);
+        return spec.motion ? Motion.attach(el, Motion.fromSpec(spec.motion, w, h)) : el;
+    },
+
+    // Back to normalized level data; round() trims float noise.
+    // Moving walls are saved in their rest pose
+    toSpec(el, w, h, round = v => v) {
+        const { a, b } = el.motion ? el.base : el;
+        const spec = { x1: round(a.x / w), y1: round(a.y / h), x2: round(b.x / w), y2: round(b.y / h), type: el.type };
+        Object.entries(Elements.get(el.type).params).forEach(([key, p]) => {
+            spec[key] = p.scale === 'length' ? round(el[key] / Math.min(w, h)) : el[key];
+        });
+        if (el.motion) spec.motion = Motion.toSpec(el.motion, w, h, round);
+        return spec;
+    },
+
+    // Recompute normal + type-specific geometry (after moving endpoints)
+    refresh(el) {
+        el.normal = Optics.segmentNormal(el.a, el.b);
+        const def = Elements.get(el.type);
+        if (def.prepare) def.prepare(el);
+        return el;
+    },
+
+    // Change an element's type in place, filling in missing parameters
+    retype(el, type) {
+        Object.keys(Elements.get(el.type).params).forEach(key => delete el[key]);
+        el.type = type;
+        Object.entries(Elements.get(type).params).forEach(([key, p]) => { el[key] = p.default; });
+        return Elements.refresh(el);
+    },
+
+    /* --------------------------------------------------------------------------
+       Dispatch used by the tracer and renderer
+    -------------------------------------------------------------------------- */
+    intersect(el, p, d) {
+        if (el.off) return null;            // Toggled off (motion.js)
+        const def = Elements.get(el.type);
+        if (def.intersect) return def.intersect(el, p, d);
+        const hit = Optics.intersectSegment(p, d, el.a, el.b);
+        return hit && { t: hit.t, point: hit.point, normal: el.normal };
+    },
+
+    interact(el, hit, beam, scene) {
+        return Elements.get(el.type).interact(el, hit, beam, scene);
+    },
+
+    // Axis-aligned box enclosing everything intersect() can hit (SpatialGrid)
+    bounds(el) {
+        const def = Elements.get(el.type);
+        if (def.bounds) return def.bounds(el);
+        return {
+            minX: Math.min(el.a.x, el.b.x), minY: Math.min(el.a.y, el.b.y),
+            maxX: Math.max(el.a.x, el.b.x), maxY: Math.max(el.a.y, el.b.y)
+        };
+    },
+
+    draw(ctx, el) {
+        ctx.save();
+        ctx.lineCap = 'round';
+        if (el.off) ctx.globalAlpha *= 0.15;
+        Elements.get(el.type).draw(ctx, el);
+        ctx.restore();
+    },
+
+    /* --------------------------------------------------------------------------
+       Shared drawing / geometry helpers
+    -------------------------------------------------------------------------- */
+    strokeSegment(ctx, el, color, width, glow) {
+        ctx.beginPath();
+        ctx.moveTo(el.a.x, el.a.y);
+        ctx.lineTo(el.b.x, el.b.y);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.shadowBlur = glow ? 10 : 0;
+        ctx.shadowColor = glow || 'transparent';
+        ctx.stroke();
+    },
+
+    // Unit tangent along a→b
+    tangent(el) {
+        return Vec2.normalize(Vec2.sub(el.b, el.a));
+    },
+
+    band(name) {
+        return CONFIG.spectrum.find(b => b.name === name);
+    }
+};
+
+/* ======================================================================
+   Straight-segment materials
+====================================================================== */
+Elements.register('mirror', {
+    spark: { color: CONFIG.colors.wall, speed: 2 },
+    interact: (el, hit, beam) => [{ ...beam, dir: Optics.reflect(beam.dir, hit.normal) }],
+    draw: (ctx, el) => Elements.strokeSegment(ctx, el, CONFIG.colors.wall, 4, CONFIG.colors.wall)
+});
+
+Elements.register('glass', {
+    spark: { color: '#fff', speed: 1 },
+    interact: (el, hit, beam, scene) => Optics.fresnelSplit(beam.dir, hit.normal,
+        scene.materials.airIndex, scene.materials.refractiveIndex, beam.band, beam.intensity),
+    draw: (ctx, el) => {
+        ctx.shadowBlur = 5;
+        ctx.shadowColor = '#fff';
+        ctx.beginPath();
+        ctx.moveTo(el.a.x, el.a.y);
+        ctx.lineTo(el.b.x, el.b.y);
+        ctx.strokeStyle = CONFIG.colors.glass;
+        ctx.lineWidth = 6;
+        ctx.stroke();
+    }
+});
+
+Elements.register('dispersive', {
+    spark: { color: '#fff', speed: 1 },
+    interact: (el, hit, beam, scene) => {
+        const { materials } = scene;
+        const { dir, band, intensity } = beam;
+        if (band) {
+            const n = Optics.cauchyIndex(band.wavelength, materials.dispersion);
+            return Optics.fresnelSplit(dir, hit.normal, materials.airIndex, n, band, intensity);
+        }
+
+        // White light: each band refracts with its own index and carries
+        // an equal share; the reflected (still white) part is averaged
+        const share = intensity / materials.spectrum.length;
+        let reflected = 0;
+        const fan = [];
+        materials.spectrum.forEach(b => {
+            const n = Optics.cauchyIndex(b.wavelength, materials.dispersion);
+            Optics.fresnelSplit(dir, hit.normal, materials.airIndex, n, b, share).forEach(o => {
+                if (o.transmitted) fan.push(o);
+                else reflected += o.intensity;
+            });
+        });
+        return [{ dir: Optics.reflect(dir, hit.normal), band: null, intensity: reflected }, ...fan];
+    },
+    draw: (ctx, el) => {
+        // Faint rainbow along the segment hints at the spectrum inside
+        const grad = ctx.createLinearGradient(el.a.x, el.a.y, el.b.x, el.b.y);
+        CONFIG.spectrum.forEach((b, i) => grad.addColorStop(i / (CONFIG.spectrum.length - 1), b.color));
+        ctx.globalAlpha = 0.6;
+        ctx.shadowBlur = 5;
+        ctx.shadowColor = CONFIG.colors.dispersive;
+        ctx.beginPath();
+        ctx.moveTo(el.a.x, el.a.y);
+        ctx.lineTo(el.b.x, el.b.y);
+        ctx.strokeStyle = grad;
+        ctx.lineWidth = 6;
+        ctx.stroke();
+    }
+});
+
+Elements.register('absorb', {
+    interact: () => [],
+    draw: (ctx, el) => Elements.strokeSegment(ctx, el, CONFIG.colors.absorb, 4)
+});
+
+/* One-way mirror: reflects light arriving on the normal side, lets the
+   other side through untouched */
+Elements.register('oneway', {
+    spark: { color: CONFIG.colors.wall, speed: 2 },
+    interact: (el, hit, beam) => Vec2.dot(beam.dir, el.normal) < 0
+        ? [{ ...beam, dir: Optics.reflect(beam.dir, el.normal) }]
+        : [beam],
+    draw: (ctx, el) => {
+        Elements.strokeSegment(ctx, el, CONFIG.colors.wall, 3, CONFIG.colors.wall);
+        // Dashed backing on the transparent side
+        const off = Vec2.mult(el.normal, -4);
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(el.a.x + off.x, el.a.y + off.y);
+        ctx.lineTo(el.b.x + off.x, el.b.y + off.y);
+        ctx.strokeStyle = 'rgba(0,204,255,0.4)';
+        ctx.lineWidth = 2;
+        ctx.shadowBlur = 0;
+        ctx.stroke();
+    }
+});
+
+/* Color filter: passes only its spectrum band. White light comes out
+   tinted (carrying that band's share), other colors are absorbed. */
+Elements.register('filter', {
+    params: { color: { kind: 'color', default: 'red' } },
+    interact: (el, hit, beam, scene) => {
+        if (!beam.band) {
+            const band = scene.materials.spectrum.find(b => b.name === el.color);
+            return [{ ...beam, band, intensity: beam.intensity / scene.materials.spectrum.length }];
+        }
+        return beam.band.name === el.color ? [beam] : [];
+    },
+    draw: (ctx, el) => {
+        const band = Elements.band(el.color);
+        ctx.globalAlpha = 0.7;
+        Elements.strokeSegment(ctx, el, band ? band.color : '#fff', 5, band && band.color);
+    }
+});
+
+/* ======================================================================
+   Thin lenses — paraxial model: the beam's slope relative to the lens
+   axis changes by -h/f, h = signed distance from the lens centre
+====================================================================== */
+const thinLens = sign => ({
+    spark: { color: '#fff', speed: 1 },
+    params: { focal: { kind: 'number', default: 0.2, min: 0.01, max: 2, scale: 'length' } },
+    interact: (el, hit, beam) => {
+        const t = Elements.tangent(el);
+        const center = Vec2.mult(Vec2.add(el.a, el.b), 0.5);
+        const n = Vec2.dot(beam.dir, el.normal) > 0 ? el.normal : Vec2.mult(el.normal, -1);
+        const h = Vec2.dot(Vec2.sub(hit.point, center), t);
+        const slope = Vec2.dot(beam.dir, t) / Vec2.dot(beam.dir, n) - h / (sign * el.focal);
+        return [{ ...beam, dir: Vec2.normalize(Vec2.add(n, Vec2.mult(t, slope))) }];
+    },
+    draw: (ctx, el) => {
+        Elements.strokeSegment(ctx, el, 'rgba(160,220,255,0.6)', 3, '#aef');
+        // Arrow heads: outward for converging, inward for diverging
+        const t = Elements.tangent(el);
+        [[el.a, 1], [el.b, -1]].forEach(([p, dir]) => {
+            const tip = sign > 0 ? p : Vec2.add(p, Vec2.mult(t, dir * 8));
+            const back = Vec2.add(tip, Vec2.mult(t, dir * (sign > 0 ? 8 : -8)));
+            ctx.beginPath();
+            ctx.moveTo(back.x + el.normal.x * 6, back.y + el.normal.y * 6);
+            ctx.lineTo(tip.x, tip.y);
+            ctx.lineTo(back.x - el.normal.x * 6, back.y - el.normal.y * 6);
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        });
+    }
+});
+Elements.register('converging', thinLens(1));
+Elements.register('diverging', thinLens(-1));
+
+/* ======================================================================
+   Circular-arc mirrors through a and b. bulge = sagitta / chord length.
+   'convex' bulges toward the normal side, 'concave' hollows toward it
+   (both faces reflect).
+====================================================================== */
+const arcMirror = side => ({
+    spark: { color: CONFIG.colors.wall, speed: 2 },
+    params: { bulge: { kind: 'number', default: 0.25, min: 0.01, max: 0.5 } },
+    prepare: el => {
+        const chord = Vec2.dist(el.a, el.b);
+        const mid = Vec2.mult(Vec2.add(el.a, el.b), 0.5);
+        const s = Math.max(el.bulge * chord, 0.0001);
+        el.apexDir = Vec2.mult(el.normal, side);
+        el.radius = (chord * chord / 4 + s * s) / (2 * s);
+        el.center = Vec2.add(mid, Vec2.mult(el.apexDir, s - el.radius));
+        el.mid = mid;
+    },
+    intersect: (el, p, d) => {
+        // |p + t·d − c|² = r²
+        const f = Vec2.sub(p, el.center);
+        const b = Vec2.dot(f, d);
+        const c = Vec2.dot(f, f) - el.radius * el.radius;
+        const disc = b * b - c;
+        if (disc < 0) return null;
+        const sq = Math.sqrt(disc);
+        for (const t of [-b - sq, -b + sq]) {
+            if (t <= Optics.epsilon) continue;
+            const point = Vec2.add(p, Vec2.mult(d, t));
+            // Keep only the arc on the apex side of the chord
+            if (Vec2.dot(Vec2.sub(point, el.mid), el.apexDir) < 0) continue;
+            return { t, point, normal: Vec2.normalize(Vec2.sub(point, el.center)) };
+        }
+        return null;
+    },
+    // A minor arc stays within one sagitta of its chord
+    bounds: el => {
+        const s = el.bulge * Vec2.dist(el.a, el.b);
+        return {
+            minX: Math.min(el.a.x, el.b.x) - s, minY: Math.min(el.a.y, el.b.y) - s,
+            maxX: Math.max(el.a.x, el.b.x) + s, maxY: Math.max(el.a.y, el.b.y) + s
+        };
+    },
+    interact: (el, hit, beam) => [{ ...beam, dir: Optics.reflect(beam.dir, hit.normal) }],
+    draw: (ctx, el) => {
+        const ang = p => Math.atan2(p.y - el.center.y, p.x - el.center.x);
+        const a0 = ang(el.a), a1 = ang(el.b);
+        const apex = ang(Vec2.add(el.mid, Vec2.mult(el.apexDir, el.bulge * Vec2.dist(el.a, el.b))));
+        const TAU = Math.PI * 2, wrap = v => ((v % TAU) + TAU) % TAU;
+
+        ctx.beginPath();
+        ctx.arc(el.center.x, el.center.y, el.radius, a0, a1, wrap(apex - a0) > wrap(a1 - a0));
+        ctx.strokeStyle = CONFIG.colors.wall;
+        ctx.lineWidth = 4;
+        ctx.shadowBlur = 10;
+        ctx.shadowColor = CONFIG.colors.wall;
+        ctx.stroke();
+    }
+});
+Elements.register('convex', arcMirror(1));
+Elements.register('concave', arcMirror(-1));
+
+/* ======================================================================
+   Portals — two segments sharing a `link` id. A beam entering one leaves
+   the partner at the same relative position, keeping its angle to the
+   portal (entering the front face exits the partner's front face).
+====================================================================== */
+Elements.register('portal', {
+    params: { link: { kind: 'string', default: 'A' } },
+    interact: (el, hit, beam, scene) => {
+        const exit = scene.walls.find(w => w.type === 'portal' && w.link === el.link && w !== el);
+        if (!exit) return [];
+
+        const t = Elements.tangent(el), te = Elements.tangent(exit);
+        const along = Vec2.dist(el.a, hit.point) / Vec2.dist(el.a, el.b);
+        const dt = Vec2.dot(beam.dir, t), dn = Vec2.dot(beam.dir, el.normal);
+        return [{
+            ...beam,
+            origin: Vec2.add(exit.a, Vec2.mult(Vec2.sub(exit.b, exit.a), along)),
+            dir: Vec2.normalize(Vec2.add(Vec2.mult(te, dt), Vec2.mult(exit.normal, -dn)))
+        }];
+    },
+    draw: (ctx, el) => {
+        const hue = [...String(el.link)].reduce((h, ch) => h + ch.charCodeAt(0) * 47, 0) % 360;
+        const color = `hsl(${hue},100%,60%)`;
+        ctx.setLineDash([6, 4]);
+        ctx.lineDashOffset = -Date.now() / 40;
+        Elements.strokeSegment(ctx, el, color, 4, color);
+    }
+});
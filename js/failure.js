@@ -0,0 +1,159 @@
+/* ============================================================================
+   FailurePolicy — what happens after too many failed rounds on one layout
+   The mode is a player setting (HUD picker, CONFIG.failure.modes):
+   - redirect  the classic punishment: the puzzle is suspended (see
+               PhotonGame.suspend) and the page goes to button.html,
+               carrying a handoff ticket back (handoff.js); inside a level
+               pack, which a reload loses, the overlay is used instead
+   - overlay   the button challenge (button.js) is mounted over the maze;
+               play resumes once it is won
+   - hint      reveals the next progressive hint (hints.js; clears count as assisted)
+   - penalty   adds CONFIG.failure.penalty to the length this layout's clears
+               are rated with (scoring.js) — records keep the real length
+   - off       failures are only counted
+   The threshold is CONFIG.failure.threshold unless the level sets
+   `failureThreshold` (0 = never triggers). The count restarts whenever
+   the policy triggers or a new layout is loaded — except in the two
+   challenge modes, where it stays at the threshold until a challenge is
+   won, so backing out of one (or reloading the page) triggers again on
+   the next failed round. The state is saved with the progress.
+============================================================================ */
+
+class FailurePolicy {
+    constructor(game) {
+        this.game = game;
+        this.threshold = CONFIG.failure.threshold;
+        this.custom = false;            // Threshold comes from the level
+        this.failures = 0;              // Failed rounds since the last trigger
+        this.triggers = 0;              // Times the policy fired on this layout (challenge severity)
+        this.penalties = 0;             // Penalty triggers on this layout
+
+        this.challenge = null;          // ButtonChallenge mounted in the overlay
+
+        this.ui = {
+            info: document.getElementById('failure-info'),
+            overlay: document.getElementById('failure-overlay')
+        };
+    }
+
+    get mode() {
+        return this.game.settings.failureMode;
+    }
+
+    // Challenge overlay is up — the maze takes no shots meanwhile
+    get open() {
+        return this.ui.overlay.classList.contains('active');
+    }
+
+    /* New layout — `threshold` is the level's failureThreshold, if any */
+    reset(threshold) {
+        this.custom = threshold !== undefined;
+        this.threshold = this.custom ? threshold : CONFIG.failure.threshold;
+        this.failures = 0;
+        this.triggers = 0;
+        this.penalties = 0;
+        this.updateUi();
+    }
+
+    // Length added when rating clears of this layout
+    penalty() {
+        return this.penalties * CONFIG.failure.penalty;
+    }
+
+    /* --------------------------------------------------------------------------
+       Called by shootRay after every failed round
+    -------------------------------------------------------------------------- */
+    record() {
+        this.failures = Math.min(this.failures + 1, this.threshold || Infinity);
+        if (this.mode !== 'off' && this.threshold > 0 && this.failures >= this.threshold) this.trigger();
+        this.updateUi();
+    }
+
+    // A challenge is owed: the count waits at the threshold until one is won
+    get challengeMode() {
+        return this.mode === 'redirect' || this.mode === 'overlay';
+    }
+
+    // Repeat offenders get a harder challenge (ButtonChallenge.scale)
+    trigger() {
+        this.triggers++;
+        if (!this.challengeMode) this.failures = 0;
+        switch (this.mode) {
+            case 'redirect':
+                // A pack lives only in this page (PhotonGame.saveProgress), so
+                // leaving it would lose the puzzle — it gets the overlay instead
+                if (this.game.pack) {
+                    this.openChallenge();
+                    break;
+                }
+                alert(`You failed ${this.threshold} times!\nBeat the click challenge to continue.`);
+                window.location.href = Handoff.url("button.html", this.game.suspend(this.triggers));
+                break;
+
+            case 'overlay':
+                this.openChallenge();
+                break;
+
+            case 'hint':
+                this.game.hints.next();
+                break;
+
+            case 'penalty':
+                this.penalties++;
+                break;
+        }
+    }
+
+    /* --------------------------------------------------------------------------
+       In-page challenge — beating it resets the attempt and failure counters,
+       and "Back to Maze" closes the overlay on the same shot
+    -------------------------------------------------------------------------- */
+    openChallenge() {
+        this.closeChallenge();
+        this.challenge = new ButtonChallenge({
+            severity: this.triggers,
+            onComplete: () => {
+                const g = this.game;
+                g.attempts = 0;
+                g.ui.attempts.innerText = "0";
+                g.updateBudgetUi();
+                this.failures = 0;
+                this.updateUi();
+                g.saveProgress();
+            },
+            onBack: () => this.closeChallenge()
+        });
+        this.challenge.mount(this.ui.overlay);
+        this.ui.overlay.classList.add('active');
+    }
+
+    closeChallenge() {
+        if (this.challenge) this.challenge.unmount();
+        this.challenge = null;
+        this.ui.overlay.classList.remove('active');
+    }
+
+    /* --------------------------------------------------------------------------
+       Suspend / resume (PhotonGame.snapshot)
+    -------------------------------------------------------------------------- */
+    snapshot() {
+        return { failures: this.failures, triggers: this.triggers, penalties: this.penalties };
+    }
+
+    restore(s = {}) {
+        this.failures = s.failures || 0;
+        this.triggers = s.triggers || 0;
+        this.penalties = s.penalties || 0;
+        this.updateUi();
+    }
+
+    /* --------------------------------------------------------------------------
+       HUD
+    -------------------------------------------------------------------------- */
+    updateUi() {
+        const parts = [];
+        if (this.mode !== 'off' && this.threshold > 0) parts.push(`FAILS ${this.failures}/${this.threshold}`);
+        if (this.penalties) parts.push(`PENALTY +${this.penalty()}`);
+        this.ui.info.innerText = parts.join(' · ');
+    }
+}
@@ -13,44 +13,118 @@ class PhotonGame {
         // --- Canvas setup ---
         this.canvas = document.getElementById('gameCanvas');
         this.ctx = this.canvas.getContext('2d');
+        this.world = { ...CONFIG.world };       // Logical playfield size (all geometry and scores)
+        this.dpr = 1;                            // devicePixelRatio the backing store was sized for
 
         // --- UI references ---
         this.ui = {
             level: document.getElementById('level-txt'),
             desc: document.getElementById('level-desc'),
+            seed: document.getElementById('seed-txt'),
             attempts: document.getElementById('attempts-txt'),
             win: document.getElementById('win-overlay'),
             stats: document.getElementById('win-stats'),
+            objectives: document.getElementById('objectives'),
+            mazeInfo: document.getElementById('maze-info'),
+            dailyBar: document.getElementById('daily-bar'),
+            dailyInfo: document.getElementById('daily-info'),
+            dailyToggle: document.getElementById('daily-toggle'),
             statCurrent: document.getElementById('stat-current'),
             statBest: document.getElementById('stat-best'),
+            statPar: document.getElementById('stat-par'),
+            preview: document.getElementById('preview-toggle'),
+            difficulty: document.getElementById('difficulty'),
+            beamSpeed: document.getElementById('beam-speed'),
+            failureMode: document.getElementById('failure-mode'),
+            reward: document.getElementById('reward-hint'),
+            packExit: document.getElementById('pack-exit'),
+            budget: document.getElementById('budget-txt'),
+            statScore: document.getElementById('stat-score'),
             statOptTotal: document.getElementById('stat-opt-total'),
             statSessionTotal: document.getElementById('stat-session-total')
         };
 
         // --- Game state variables ---
         this.levelIndex = 0;                     // Current level number
+        this.seed = null;                        // Maze seed (procedural levels only)
         this.attempts = 0;                       // Shots taken in current level
+        this.shots = 0;                          // Shots rated against the attempt budget — unlike attempts,
+                                                 // a won button challenge doesn't reset them (scoring.js)
         this.maxBounces = CONFIG.defaultMaxBounces;
+        this.materials = {
+            airIndex: CONFIG.airIndex,
+            refractiveIndex: CONFIG.refractiveIndex,
+            dispersion: CONFIG.dispersion,
+            spectrum: CONFIG.spectrum
+        };
+        this.solution = null;                    // Solver result for the current layout
+        this.edited = false;                     // Layout changed in the editor since it loaded — kept off the records
+        this.maze = null;                        // Procedural levels: { cols, rows, grid, placement }
+        this.daily = null;                       // Daily challenge being played: { key, seed, resume }
+        this.pack = null;                        // Imported pack being played: { name, campaign, back } (see loadPack)
+        this.parLength = null;                   // Known-optimal path length (par)
+        this.levelScoring = {};                  // Level's own { par, attemptBudget } overrides (scoring.js)
+        this.attemptBudget = CONFIG.scoring.attemptBudget;
 
         this.walls = [];                         // All mirror/glass line segments
+        this.grid = null;                        // SpatialGrid over the static walls
+        this.movingWalls = [];                   // Walls with a motion (see motion.js)
+        this.levelTime = 0;                      // Seconds since the level loaded
         this.history = [];                       // Stores recent ray paths
         this.particles = [];                     // Hit effects
-        this.mouse = { x: 0, y: 0 };               // Mouse aiming vector
-
-        // Emitter and target positions
-        this.emitter = { x: 0, y: 0 };
-        this.target = { x: 0, y: 0, r: 15 };
-
-        // Score tracking
-        this.totalSessionDistance = 0;
+        this.flashes = [];                       // Wall highlights { wall, point, life }
+        this.mouse = { x: 0, y: 0 };             // Pointer position in world units
+        this.preview = null;                     // Cached aim preview { key, rays }
+        this.assistUsed = false;                 // Preview was on while playing this layout
+        this.winTimers = [];                     // Pending win effects / overlay (handleWin) — no shots meanwhile
+        this.pendingBuild = null;                // Procedural maze waiting to be built (buildMaze)
+
+        // Emitters fire in sequence, one per shot; every target must be lit
+        this.emitters = [];                      // { x, y, angle? }
+        this.emitterIndex = 0;                   // Emitter the next shot leaves from
+        this.emitter = { x: 0, y: 0 };           // = emitters[emitterIndex]
+        this.targets = [];                       // { x, y, r, color?, minPower? }
+        this.target = { x: 0, y: 0, r: 15 };     // = targets[0]
+        this.checkpoints = [];                   // Ordered nodes a beam crosses before a target counts
+        this.forbidden = [];                     // Nodes that fail the round when touched
+        this.round = null;                       // Progress through one emitter sequence (see newRound)
+        this.fixedAngle = null;                  // Emitter direction (degrees) if the level fixes it
+
+        // Score tracking (restored from the saved profile)
+        const saved = ProgressStore.load();
+        this.settings = saved.settings;
+        this.totalSessionDistance = saved.totalSessionDistance;
         this.currentLevelBest = Infinity;        // Best score in current level
-        this.levelRecords = {};                  // Stores best score per level index
-
-        // Init
+        this.levelRecords = saved.records;       // { best, assisted } per level index
+        this.dailyRecords = saved.daily;         // { best, assisted, attempts, runs } per date
+        this.suspended = saved.suspended;        // Puzzle left for the button challenge (see suspend)
+        this.resumedId = null;                   // Id of the suspended puzzle restored on this load
+        this.reward = null;                      // Trajectory hint won in the challenge: { bounces, active }
+        this.unlockedLevel = saved.unlockedLevel;
+
+        // Difficulty / beam speed pickers list every CONFIG preset
+        Object.keys(CONFIG.difficulties).forEach(name => this.ui.difficulty.add(new Option(name, name)));
+        Object.keys(CONFIG.beamSpeeds).forEach(name => this.ui.beamSpeed.add(new Option(name, name)));
+        CONFIG.failure.modes.forEach(name => this.ui.failureMode.add(new Option(name, name)));
+        this.updateSettingsUi();
+
+        // Init — resume the saved level, maze and attempt count
+        // (loadLevel saves a fresh count, so the restored one is saved again)
+        this.inventory = new Inventory(this);
+        this.failure = new FailurePolicy(this);
+        this.hints = new HintSystem(this);
         this.resize();
         this.initLevels();
-        this.loadLevel(0);
+        this.loadLevel(saved.levelIndex, false, saved.seed === null ? undefined : saved.seed);
+        this.restoreAttempts(saved);
+        if (saved.failure) this.failure.restore(saved.failure);
+        this.saveProgress();
+        this.updateTotals();
         this.bindEvents();
+        this.editor = new LevelEditor(this);
+        this.aim = new AimController(this);
+        this.replay = new ReplayViewer(this);
+        if (this.suspended) this.resumeSuspended();
 
         // Begin animation loop
         this.lastTime = 0;
@@ -59,21 +133,35 @@ class PhotonGame {
     }
 
     /* --------------------------------------------------------------------------
-       Resize canvas based on viewport while maintaining aspect constraints
+       Fit the canvas to the viewport. Levels live in fixed world units
+       (CONFIG.world) — a resize only changes the view scale, never the
+       loaded geometry or its path lengths. The backing store follows
+       devicePixelRatio so lines stay crisp on high-density screens.
     -------------------------------------------------------------------------- */
     resize() {
-        const maxWidth = 1200;
-        const maxHeight = 900;
-        let w = window.innerWidth * 0.98;
-        let h = window.innerHeight * 0.9;
-        if (w > maxWidth) w = maxWidth;
-        if (h > maxHeight) h = maxHeight;
+        const { width, height } = this.world;
+        const fit = CONFIG.viewport;
+        const scale = Math.min(1, window.innerWidth * fit.maxWidth / width, window.innerHeight * fit.maxHeight / height);
+        this.dpr = window.devicePixelRatio || 1;
+
+        this.canvas.style.width = `${Math.round(width * scale)}px`;
+        this.canvas.style.height = `${Math.round(height * scale)}px`;
+        this.canvas.width = Math.round(width * scale * this.dpr);
+        this.canvas.height = Math.round(height * scale * this.dpr);
+    }
 
-        this.canvas.width = w;
-        this.canvas.height = h;
+    // World → backing-store pixels; reapplied every frame since resizing resets it
+    applyView() {
+        this.ctx.setTransform(this.canvas.width / this.world.width, 0, 0, this.canvas.height / this.world.height, 0, 0);
+    }
 
-        // When resizing, rebuild level environment
-        if (this.walls.length > 0) this.loadLevel(this.levelIndex, true);
+    // Client (CSS pixel) position → world units
+    toWorld(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left) * this.world.width / rect.width,
+            y: (clientY - rect.top) * this.world.height / rect.height
+        };
     }
 
     /* --------------------------------------------------------------------------
@@ -81,18 +169,18 @@ class PhotonGame {
     -------------------------------------------------------------------------- */
     bindEvents() {
         const updateMouse = (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-            const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-            this.mouse.x = clientX - rect.left;
-            this.mouse.y = clientY - rect.top;
+            const point = e.touches ? e.touches[0] : e;
+            Object.assign(this.mouse, this.toWorld(point.clientX, point.clientY));
         };
         this.canvas.addEventListener('mousemove', updateMouse);
         this.canvas.addEventListener('touchmove', e => { e.preventDefault(); updateMouse(e) }, { passive: false });
 
         // Shoot ray on click/touch
         const shoot = (e) => {
-            if (this.ui.win.classList.contains('active')) return;
+            if (this.winPending) return;        // Level cleared — beam still travelling or overlay up
+            if (this.failure.open) return;      // Button challenge overlay is up
+            if (this.editor.active) return;     // Editor handles its own clicks
+            if (this.inventory.active) return;  // Clicks move pieces; fire with Space / Fire
             if (e.target !== this.canvas) return;
             e.preventDefault();
             this.shootRay();
@@ -105,68 +193,99 @@ class PhotonGame {
     }
 
     /* --------------------------------------------------------------------------
-       Define predefined puzzle levels + procedural maze levels
+       Static puzzle levels come from a level pack (see levels.js);
+       procedural maze levels follow once the pack runs out
     -------------------------------------------------------------------------- */
     initLevels() {
-        this.staticLevels = [
-
-            // ===== Level 1: Reflection bounce puzzle =====
-            {
-                name: "RICOCHET",
-                emitter: { x: 0.1, y: 0.5 },
-                target: { x: 0.9, y: 0.5 },
-                walls: [
-                    { x1: 0.5, y1: 0.4, x2: 0.5, y2: 0.6, type: 'mirror' },
-                    { x1: 0.3, y1: 0.1, x2: 0.7, y2: 0.1, type: 'mirror' },
-                    { x1: 0.3, y1: 0.9, x2: 0.7, y2: 0.9, type: 'mirror' },
-                ]
-            },
-
-            // ===== Level 2: Refraction through a glass square =====
-            {
-                name: "REFRACTION",
-                emitter: { x: 0.1, y: 0.5 },
-                target: { x: 0.9, y: 0.4 },
-                walls: [
-                    { x1: 0.4, y1: 0.2, x2: 0.6, y2: 0.2, type: 'glass' },
-                    { x1: 0.6, y1: 0.2, x2: 0.6, y2: 0.8, type: 'glass' },
-                    { x1: 0.6, y1: 0.8, x2: 0.4, y2: 0.8, type: 'glass' },
-                    { x1: 0.4, y1: 0.8, x2: 0.4, y2: 0.2, type: 'glass' },
-                    { x1: 0.8, y1: 0.5, x2: 0.8, y2: 1.0, type: 'mirror' }
-                ]
-            },
-
-            // ===== Level 3: Triangle prism =====
-            {
-                name: "PRISM",
-                emitter: { x: 0.1, y: 0.8 },
-                target: { x: 0.9, y: 0.2 },
-                walls: [
-                    { x1: 0.3, y1: 0.3, x2: 0.7, y2: 0.3, type: 'glass' },
-                    { x1: 0.7, y1: 0.3, x2: 0.5, y2: 0.7, type: 'glass' },
-                    { x1: 0.5, y1: 0.7, x2: 0.3, y2: 0.3, type: 'glass' }
-                ]
-            }
-        ];
+        this.staticLevels = LevelFormat.parse(LevelPacks.campaign).levels;
+    }
+
+    /* Play a parsed pack instead of the campaign, from its first level.
+       Records are keyed by level index, so a pack's records stay in memory:
+       the campaign's records and place are set aside — and keep being
+       saved — until exitPack brings them back. A pack opened from another
+       one (an editor test play) returns to that pack (`back`) */
+    loadPack(pack) {
+        const back = this.pack && { pack: this.pack, levels: this.staticLevels, records: this.levelRecords, ...this.place() };
+        this.pack = { name: pack.name, campaign: this.campaignState(), back };
+        this.daily = null;
+        this.updateDailyUi();
+        this.levelRecords = {};
+        this.unlockedLevel = 0;
+        this.staticLevels = pack.levels;
+        this.loadLevel(0);
+        this.updateTotals();
+        this.updatePackUi();
+    }
+
+    // Back to the level the pack was opened from (campaign or outer pack)
+    exitPack() {
+        if (!this.pack) return;
+        const { campaign, back } = this.pack;
+        const to = back || campaign;
+        this.pack = back ? back.pack : null;
+        this.daily = null;
+        this.updateDailyUi();
+        this.levelRecords = to.records;
+        if (back) this.staticLevels = back.levels;
+        else {
+            this.unlockedLevel = campaign.unlockedLevel;
+            this.initLevels();
+        }
+        this.loadLevel(to.levelIndex, false, to.seed === null ? undefined : to.seed);
+        this.restoreAttempts(to);
+        if (to.failure) this.failure.restore(to.failure);
+        this.updateTotals();
+        this.updatePackUi();
+        this.saveProgress();
+    }
+
+    updatePackUi() {
+        const back = this.pack && this.pack.back;
+        this.ui.packExit.hidden = !this.pack;
+        this.ui.packExit.innerText = back ? `Back to ${back.pack.name}` : 'Campaign';
+        if (this.pack) this.ui.packExit.title = `Leave "${this.pack.name}" and return to the ${back ? 'pack' : 'campaign'}`;
+    }
+
+    /* Import a level or pack from a local JSON file (HUD "Import" button) */
+    async importLevels(file) {
+        if (!file) return;
+        try {
+            this.loadPack(await LevelPacks.loadFile(file));
+        } catch (err) {
+            alert(err.message);
+        }
     }
 
     /* --------------------------------------------------------------------------
        Load specified level
        keepMap = true → keep current geometry but reset attempts/history only
+       seed           → rebuild a specific procedural maze (random if omitted)
     -------------------------------------------------------------------------- */
-    loadLevel(index, keepMap = false) {
+    loadLevel(index, keepMap = false, seed) {
         this.levelIndex = index;
-        const w = this.canvas.width, h = this.canvas.height;
+        const { width: w, height: h } = this.world;
 
         // Reset state
         this.history = [];
         this.attempts = 0;
+        this.shots = 0;
         this.particles = [];
-        this.currentLevelBest = this.levelRecords[index] || Infinity;
+        this.flashes = [];
+        this.preview = null;
+        this.levelTime = 0;
+        if (!keepMap) {
+            this.assistUsed = this.settings.preview;
+            this.reward = null;
+            this.updateRewardUi();
+        }
+        this.currentLevelBest = this.daily ? this.dailyBest() : this.levelBest(index);
 
-        // Reset UI
+        // Reset UI (a win still travelling to its target is dropped)
+        this.winTimers.forEach(clearTimeout);
+        this.winTimers = [];
         this.ui.win.classList.remove('active');
-        this.ui.level.innerText = index + 1;
+        this.ui.level.innerText = this.daily ? 'DAILY' : index + 1;
         this.ui.statCurrent.innerText = "0";
         this.ui.statBest.innerText = this.currentLevelBest === Infinity ? "--" : this.currentLevelBest;
         this.ui.attempts.innerText = "0";
@@ -174,281 +293,930 @@ class PhotonGame {
 
         // Build walls only if not preserving previous map
         if (!keepMap) {
+            this.pendingBuild = null;           // (a maze still being built for the last load is dropped)
+            this.edited = false;
             this.walls = [];
+            this.solution = null;
+            this.hints.reset();
 
-            // Add canvas boundary mirrors
+            // Add playfield boundary mirrors
             const border = 'mirror';
             this.addWall(0, 0, w, 0, border);
             this.addWall(w, 0, w, h, border);
             this.addWall(w, h, 0, h, border);
             this.addWall(0, h, 0, 0, border);
 
+            // Daily challenge — the date fixes the maze (see daily.js)
+            if (this.daily) {
+                const key = this.daily.key;
+                this.seed = this.daily.seed;
+                this.buildMaze(() => DailyChallenge.build(key, w, h),
+                    built => `DAILY ${key} · ${built.algorithm.toUpperCase()}`);
+            }
+
             // If still in static campaign mode
-            if (index < this.staticLevels.length) {
+            else if (index < this.staticLevels.length) {
                 const L = this.staticLevels[index];
                 this.ui.desc.innerText = L.name;
-                this.maxBounces = CONFIG.defaultMaxBounces;
-
-                this.emitter = { x: L.emitter.x * w, y: L.emitter.y * h };
-                this.target = { x: L.target.x * w, y: L.target.y * h, r: 15 };
-
-                L.walls.forEach(wl => this.addWall(wl.x1 * w, wl.y1 * h, wl.x2 * w, wl.y2 * h, wl.type));
+                this.maze = null;
+                this.maxBounces = L.maxBounces || CONFIG.defaultMaxBounces;
+                this.seed = null;
+
+                // Node radii are relative to the shorter side (15 / 12 world units by default)
+                const node = (n, r) => ({ ...n, x: n.x * w, y: n.y * h, r: n.r ? n.r * Math.min(w, h) : r });
+                this.emitters = L.emitters.map(em => ({ x: em.x * w, y: em.y * h, angle: em.angle }));
+                this.targets = L.targets.map(t => node(t, 15));
+                this.checkpoints = (L.checkpoints || []).map(n => node(n, 12));
+                this.forbidden = (L.forbidden || []).map(n => node(n, 12));
+                this.inventory.load(L.inventory, w, h);
+                this.failure.reset(L.failureThreshold);
+                this.levelScoring = { par: L.par, attemptBudget: L.attemptBudget };
+
+                L.walls.forEach(wl => this.walls.push(Elements.fromSpec(wl, w, h)));
+
+                // Placed pieces, a fixed emitter or several emitters / targets
+                // change what a single free shot can do — no par
+                if (this.inventory.active || this.emitters.length > 1 || this.targets.length > 1 ||
+                    this.emitters[0].angle !== undefined)
+                    this.solution = { found: false, angle: null, length: Infinity, path: null, miss: Infinity };
             }
 
             // Procedural maze mode after static levels
             else {
+                // Size, algorithm and wall mix keep escalating (MazeGenerator.curve)
                 const complexity = index - this.staticLevels.length;
-                let cols = 10, rows = 6;
-                if (complexity >= 1) { cols = 16; rows = 9; }
-                if (complexity >= 2) { cols = 22; rows = 14; }
+                const mazeSeed = this.seed = seed === undefined ? SeededRandom.randomSeed() : seed >>> 0;
+                this.buildMaze(() => MazeGenerator.buildLevel(complexity, mazeSeed, w, h),
+                    built => (complexity === 0 ? "LABYRINTH" : "MEGA COMPLEX") +
+                        (built.algorithm === 'backtracker' ? '' : ` · ${built.algorithm.toUpperCase()}`));
+            }
+            if (!this.building) this.finishLayout();
+        }
+        this.updateBudgetUi();
 
-                this.ui.desc.innerText = complexity === 0 ? "LABYRINTH" : "MEGA COMPLEX";
-                this.maxBounces = CONFIG.complexMaxBounces;
+        if (!this.building) this.newRound();
+        this.saveProgress();
+    }
 
-                const maze = MazeGenerator.generate(cols, rows);
-                const cellW = w / cols, cellH = h / rows;
+    /* Index, solve and show the level's final layout (right away for static
+       levels, once buildMaze is done for procedural ones) */
+    finishLayout() {
+        this.target = this.targets[0];
+
+        // Index the final layout once; every shot reuses it
+        this.indexWalls();
+        this.updateMotion();
+
+        // Static levels are small — just solve them directly for par
+        // (levels with moving walls get the par of their t = 0 layout)
+        if (!this.solution) this.solution = this.solveLayout(this.walls, this.grid);
+        // (a par set by the level wins — it may be looser than the optimum)
+        this.parLength = this.solution.found ? this.solution.length : null;
+        if (this.levelScoring.par !== undefined) this.parLength = this.levelScoring.par;
+        this.attemptBudget = Scoring.budget(this.levelScoring, this.emitters.length);
+        this.ui.statPar.innerText = this.parLength === null ? "--" : this.parLength;
+
+        this.ui.seed.innerText = this.seed === null ? "--" : SeededRandom.toCode(this.seed);
+        this.updateMazeInfo();
+    }
 
-                this.emitter = { x: cellW * 0.5, y: cellH * 0.5 };
-                this.target = { x: w - cellW * 0.5, y: h - cellH * 0.5, r: Math.min(cellW, cellH) * 0.3 };
+    /* --------------------------------------------------------------------------
+       Persistence — snapshot of everything ProgressStore keeps between visits
+    -------------------------------------------------------------------------- */
+    saveProgress() {
+        const campaign = this.campaignState();
+        ProgressStore.save({
+            records: campaign.records,
+            daily: this.dailyRecords,
+            unlockedLevel: campaign.unlockedLevel,
+            levelIndex: campaign.levelIndex,
+            seed: campaign.seed,
+            attempts: campaign.attempts,
+            shots: campaign.shots,
+            failure: campaign.failure,
+            totalSessionDistance: this.totalSessionDistance,
+            suspended: this.pack ? null : this.suspended,     // (a pack is gone after a reload)
+            settings: this.settings
+        });
+    }
 
-                maze.forEach(wl => this.addWall(wl.x1 * w, wl.y1 * h, wl.x2 * w, wl.y2 * h, wl.type));
-            }
-        }
+    /* Campaign progress to keep: the level being played, the regular level
+       a daily returns to, or the campaign an imported pack set aside */
+    campaignState() {
+        if (this.pack) return this.pack.campaign;
+        return { records: this.levelRecords, unlockedLevel: this.unlockedLevel, ...this.place() };
+    }
+
+    // Level to come back to: the one being played, or the regular level a daily returns to
+    place() {
+        const resume = this.daily ? this.daily.resume
+            : { seed: this.seed, attempts: this.attempts, shots: this.shots, failure: this.failure.snapshot() };
+        return { levelIndex: this.levelIndex, ...resume };
+    }
+
+    // Wipe saved progress and start over from level 1
+    resetProgress() {
+        if (!confirm("Reset all progress, records and settings?")) return;
+        const fresh = ProgressStore.reset();
+        this.settings = fresh.settings;
+        this.levelRecords = fresh.records;
+        this.dailyRecords = fresh.daily;
+        this.suspended = fresh.suspended;
+        this.daily = null;
+        this.updateDailyUi();
+        this.pack = null;
+        this.updatePackUi();
+        this.unlockedLevel = fresh.unlockedLevel;
+        this.totalSessionDistance = fresh.totalSessionDistance;
+        this.updateSettingsUi();
+        this.initLevels();
+        this.loadLevel(0);
+        this.updateTotals();
     }
 
     /* --------------------------------------------------------------------------
-       Add wall segment to simulation
+       Suspend / resume — the redirect failure policy leaves the page, so the
+       exact puzzle (level or daily, maze seed, attempts, placed pieces,
+       assist flag, hints and failure state) is saved and restored on the next load.
+       The button page hands the ticket back with the challenge outcome
+       (handoff.js, completeHandoff).
     -------------------------------------------------------------------------- */
-    addWall(x1, y1, x2, y2, type) {
-        this.walls.push({
-            a: { x: x1, y: y1 },
-            b: { x: x2, y: y2 },
-            type: type,
-            normal: this.calculateNormal({ x: x1, y: y1 }, { x: x2, y: y2 })
-        });
+    snapshot() {
+        return {
+            id: Handoff.newId(),
+            daily: this.daily ? this.daily.key : null,
+            levelIndex: this.levelIndex,
+            seed: this.seed,
+            attempts: this.attempts,
+            shots: this.shots,
+            assistUsed: this.assistUsed,
+            pieces: this.inventory.snapshot(),
+            hints: this.hints.level,
+            failure: this.failure.snapshot()
+        };
+    }
+
+    // Suspend the puzzle; returns the handoff ticket for button.html
+    suspend(severity = 1) {
+        const s = this.snapshot();
+        this.suspended = s;
+        this.saveProgress();
+        const best = this.daily ? this.dailyBest() : this.levelBest(this.levelIndex);
+        return {
+            id: s.id,
+            level: s.levelIndex,
+            seed: s.seed,
+            daily: s.daily,
+            record: best === Infinity ? null : best,
+            severity
+        };
     }
 
-    /* Returns outward normal vector for a wall */
-    calculateNormal(a, b) {
-        let dx = b.x - a.x, dy = b.y - a.y;
-        return Vec2.normalize({ x: -dy, y: dx });
+    resumeSuspended() {
+        const s = this.suspended;
+        this.suspended = null;
+        this.resumedId = s.id || null;
+        if (s.daily) this.startDaily(s.daily);
+        else this.loadLevel(s.levelIndex, false, s.seed === null ? undefined : s.seed);
+
+        this.restoreAttempts(s);
+        if (s.assistUsed) this.markAssisted();
+        this.inventory.restore(s.pieces);
+        this.hints.restore(s.hints);
+        this.failure.restore(s.failure);
+        this.saveProgress();
     }
 
-    /* ============================================================================
-       Continue PhotonGame class — Ray simulation + interaction logic
-    ============================================================================ */
+    /* Back from button.html with a ticket (main.js). The puzzle was already
+       resumed from its snapshot; a ticket for any other puzzle (stale, or
+       with no suspended puzzle at all) is ignored. A won challenge resets
+       the attempt and failure counters and banks a one-time trajectory hint */
+    completeHandoff(ticket) {
+        if (!this.resumedId || this.resumedId !== ticket.id) return;
+        this.resumedId = null;
+
+        const outcome = ticket.outcome;
+        if (!outcome || !outcome.won) return;
+        this.attempts = 0;
+        this.ui.attempts.innerText = "0";
+        this.updateBudgetUi();
+        this.failure.restore({ ...this.failure.snapshot(), failures: 0 });
+        this.saveProgress();
+
+        const reward = Handoff.reward(outcome, ticket.severity);
+        this.reward = reward && { bounces: reward.bounces, active: false };
+        this.updateRewardUi();
+        alert(`Challenge beaten in ${outcome.time}s (${outcome.misses} misses).` +
+            (reward ? `\nReward: a one-time trajectory hint showing ${reward.bounces} bounce${reward.bounces === 1 ? '' : 's'} — press "Reward" to use it.` : ''));
+    }
+
+    /* Show the reward hint's trajectory until the next shot.
+       Like the preview, using it makes the clear assisted */
+    useReward() {
+        if (!this.reward || this.reward.active) return;
+        this.reward.active = true;
+        this.preview = null;
+        this.markAssisted();
+        this.updateRewardUi();
+    }
+
+    updateRewardUi() {
+        const r = this.reward;
+        this.ui.reward.hidden = !r;
+        if (r) this.ui.reward.innerText = r.active ? `Reward ${r.bounces} ✓` : `Reward ${r.bounces}`;
+    }
+
+    /* Run the angle-sweep solver against a wall set using the current level setup
+       (grid is optional — the solver indexes the walls itself otherwise).
+       Par is only solved for one emitter and one target */
+    solveLayout(walls, grid) {
+        return Solver.solve({
+            walls,
+            grid,
+            emitter: this.emitters[0],
+            target: this.targets[0],
+            checkpoints: this.checkpoints,
+            forbidden: this.forbidden,
+            maxBounces: this.maxBounces,
+            materials: this.materials
+        });
+    }
 
     /* --------------------------------------------------------------------------
-       Trace a ray path step-by-step until:
-       - it hits the target
-       - it exceeds bounce limit
-       - no more wall intersections
-       Returns: { path:[points], success:true/false }
+       Snapshot the loaded level (static or procedural) in the level format.
+       The first four walls are the implicit playfield border and are skipped;
+       placed pieces are left out since the inventory itself is saved.
     -------------------------------------------------------------------------- */
-    traceRay(start, dir) {
-        let points = [start];               // Stores each ray vertex
-        let currPos = start;
-        let currDir = Vec2.normalize(dir);
-        let hitTarget = false;
-        const epsilon = 0.01;               // Prevents self-intersection
-
-        for (let i = 0; i < this.maxBounces; i++) {
-            let closest = null, minT = Infinity, hitWall = null;
-
-            // Check intersection against every wall segment
-            for (let wall of this.walls) {
-                const hit = this.getLineIntersection(currPos, currDir, wall.a, wall.b);
-                if (hit && hit.t > epsilon && hit.t < minT) {
-                    minT = hit.t;
-                    closest = hit.point;
-                    hitWall = wall;
-                }
-            }
+    exportLevel() {
+        const { width: w, height: h } = this.world;
+        const round = v => Math.round(v * 10000) / 10000;
+        const node = n => ({ x: round(n.x / w), y: round(n.y / h), r: round(n.r / Math.min(w, h)) });
+        const emitters = this.emitters.map(em => ({
+            x: round(em.x / w), y: round(em.y / h),
+            ...(em.angle !== undefined ? { angle: em.angle } : {})
+        }));
+        const targets = this.targets.map(t => ({
+            ...node(t),
+            ...(t.color ? { color: t.color } : {}),
+            ...(t.minPower ? { minPower: t.minPower } : {})
+        }));
+        return LevelFormat.toLevelFile({
+            name: this.ui.desc.innerText || `LEVEL ${this.levelIndex + 1}`,
+            ...(emitters.length > 1 ? { emitters } : { emitter: emitters[0] }),
+            ...(targets.length > 1 ? { targets } : { target: targets[0] }),
+            ...(this.checkpoints.length ? { checkpoints: this.checkpoints.map(node) } : {}),
+            ...(this.forbidden.length ? { forbidden: this.forbidden.map(node) } : {}),
+            maxBounces: this.maxBounces,
+            ...(this.levelScoring.par !== undefined ? { par: this.levelScoring.par } : {}),
+            ...(this.levelScoring.attemptBudget !== undefined ? { attemptBudget: this.levelScoring.attemptBudget } : {}),
+            ...(this.failure.custom ? { failureThreshold: this.failure.threshold } : {}),
+            walls: this.walls.slice(4).filter(wl => !wl.piece).map(wl => Elements.toSpec(wl, w, h, round)),
+            ...(this.inventory.active ? { inventory: this.inventory.toSpec(w, h, round) } : {})
+        });
+    }
 
-            if (closest) {
-                // Check if path segment touches target circle
-                if (this.segmentCircleIntersect(currPos, closest, this.target))
-                    hitTarget = true;
+    /* Download the current level as a .json file (HUD "Export" button) */
+    downloadLevel() {
+        const json = JSON.stringify(this.exportLevel(), null, 2);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `photon-maze-level-${this.levelIndex + 1}${this.seed === null ? '' : '-' + SeededRandom.toCode(this.seed)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
 
-                points.push(closest);
+    /* Shareable URL that rebuilds the current level (and maze seed) exactly */
+    getShareUrl() {
+        const url = new URL(window.location.href);
+        url.search = "";
+        if (this.daily) url.searchParams.set("daily", this.daily.key);
+        else {
+            url.searchParams.set("level", this.levelIndex + 1);
+            if (this.seed !== null) url.searchParams.set("seed", SeededRandom.toCode(this.seed));
+        }
+        return url.toString();
+    }
 
-                // Absorption wall — beam stops
-                if (hitWall.type === 'absorb') break;
+    // Put back a saved attempt count (saves from before the rated shots count have none)
+    restoreAttempts({ attempts, shots }) {
+        this.attempts = attempts;
+        this.shots = typeof shots === 'number' ? shots : attempts;
+        this.ui.attempts.innerText = this.attempts;
+        this.updateBudgetUi();
+    }
 
-                // Mirror reflection
-                if (hitWall.type === 'mirror') {
-                    let normal = hitWall.normal;
-                    if (Vec2.dot(currDir, normal) > 0)
-                        normal = Vec2.mult(normal, -1);
+    // " / 5", or " · 12 / 5 rated" once a won challenge reset the attempts
+    budgetNote() {
+        return this.shots === this.attempts ? ` / ${this.attemptBudget}` : ` · ${this.shots} / ${this.attemptBudget} rated`;
+    }
 
-                    const reflect = Vec2.sub(
-                        currDir,
-                        Vec2.mult(normal, 2 * Vec2.dot(currDir, normal))
-                    );
+    updateBudgetUi() {
+        this.ui.budget.innerText = this.budgetNote();
+    }
 
-                    currDir = Vec2.normalize(reflect);
-                    currPos = closest;
-                    this.spawnParticles(closest, CONFIG.colors.wall, 2);
-                }
+    /* Procedural + daily levels: the solver can take seconds on the later
+       curve steps, so make() (a MazeGenerator.buildLevel call) runs once
+       the "GENERATING" frame is on screen, not inside the load. Until then
+       the level is just its border and takes no shots (building); loading
+       another level drops the build. describe(built) names the level */
+    buildMaze(make, describe) {
+        const pending = this.pendingBuild = { make, describe };
+        this.ui.desc.innerText = 'GENERATING MAZE…';
+        this.maze = null;
+        this.inventory.load([], this.world.width, this.world.height);
+        this.failure.reset();
+        this.levelScoring = {};
+        this.attemptBudget = Scoring.budget(this.levelScoring);
+        this.emitters = [];
+        this.targets = [];
+        this.checkpoints = [];
+        this.forbidden = [];
+        this.ui.statPar.innerText = "--";
+        this.updateMazeInfo();
+
+        requestAnimationFrame(() => setTimeout(() => {
+            if (this.pendingBuild !== pending) return;
+            this.pendingBuild = null;
+            const built = this.loadMaze(make());
+            this.ui.desc.innerText = describe(built);
+            this.finishLayout();
+            this.updateBudgetUi();
+            this.newRound();
+        }));
+    }
 
-                // Glass refraction (Snell's law)
-                else if (hitWall.type === 'glass') {
-                    let normal = hitWall.normal;
-                    let n1 = CONFIG.airIndex, n2 = CONFIG.refractiveIndex;
-                    let entering = Vec2.dot(currDir, normal) < 0;
-
-                    // Swap index if exiting the material
-                    if (!entering) { normal = Vec2.mult(normal, -1);[n1, n2] = [n2, n1]; }
-
-                    const n = n1 / n2;
-                    const cosI = -Vec2.dot(normal, currDir);
-                    const sinT2 = n * n * (1 - cosI * cosI);
-
-                    // Total internal reflection
-                    if (sinT2 > 1.0) {
-                        const reflect = Vec2.sub(
-                            currDir,
-                            Vec2.mult(normal, 2 * Vec2.dot(currDir, normal))
-                        );
-                        currDir = Vec2.normalize(reflect);
-                    }
-                    else {
-                        const cosT = Math.sqrt(1 - sinT2);
-                        const term1 = Vec2.mult(currDir, n);
-                        const term2 = Vec2.mult(normal, (n * cosI - cosT));
-                        currDir = Vec2.add(term1, term2);
-                    }
-
-                    currPos = closest;
-                    this.spawnParticles(closest, '#fff', 1);
-                }
-            }
+    // A procedural maze is still being built for the loaded level
+    get building() {
+        return this.pendingBuild !== null;
+    }
 
-            // No more collisions, extend ray outward
-            else {
-                points.push({
-                    x: currPos.x + currDir.x * 2000,
-                    y: currPos.y + currDir.y * 2000
-                });
-                break;
-            }
-            if (hitTarget) break;
+    /* Take over a level from MazeGenerator.buildLevel (procedural + daily).
+       Inventory, failure policy and scoring were already reset by buildMaze */
+    loadMaze(built) {
+        this.maxBounces = built.maxBounces;
+        this.walls = built.walls;
+        this.emitters = [built.emitter];
+        this.targets = [built.target];
+        this.maze = { cols: built.cols, rows: built.rows, grid: built.grid, placement: built.placement };
+        this.solution = built.solution;
+        return built;
+    }
+
+    /* HUD line with the procedural maze's placement metrics (empty otherwise):
+       graph distance and turns between emitter and target cells, dead ends,
+       loops, and the bounces of the solver's par path */
+    updateMazeInfo() {
+        const m = this.maze;
+        if (!m) {
+            this.ui.mazeInfo.innerText = '';
+            return;
         }
-        return { path: points, success: hitTarget };
+        const p = m.placement;
+        const bounces = this.solution && this.solution.found ? ` · PAR ${this.solution.path.filter(p => !p.jump).length - 2} BOUNCES` : '';
+        this.ui.mazeInfo.innerText = `${m.cols}×${m.rows} · DIST ${p.distance} · TURNS ${p.turns} · DEAD ENDS ${p.deadEnds} · LOOPS ${p.loops}${bounces}`;
     }
 
-    /* Line (ray) vs segment intersection — parametric solver */
-    getLineIntersection(p, d, a, b) {
-        const v1 = { x: p.x - a.x, y: p.y - a.y };
-        const v2 = { x: b.x - a.x, y: b.y - a.y };
-        const v3 = { x: -d.y, y: d.x };
-        const dot = Vec2.dot(v2, v3);
-        if (Math.abs(dot) < 0.00001) return null;
+    /* Rebuild the spatial index after the wall set changes.
+       Moving walls stay out of the grid and are tested one by one */
+    indexWalls() {
+        this.movingWalls = this.walls.filter(wall => wall.motion);
+        this.grid = new SpatialGrid(this.walls.filter(wall => !wall.motion));
+    }
 
-        const t1 = (v2.x * v1.y - v2.y * v1.x) / dot;
-        const t2 = Vec2.dot(v1, v3) / dot;
+    /* Pose every moving wall for the current level time */
+    updateMotion() {
+        this.movingWalls.forEach(wall => Motion.apply(wall, this.levelTime));
+    }
 
-        // t1>0 ensures ray forward only, 0≤t2≤1 ensures segment bounds
-        if (t1 >= 0 && t2 >= 0 && t2 <= 1)
-            return { t: t1, point: { x: p.x + t1 * d.x, y: p.y + t1 * d.y } };
-        return null;
+    /* --------------------------------------------------------------------------
+       Add a straight wall segment (any registered element type) to simulation
+    -------------------------------------------------------------------------- */
+    addWall(x1, y1, x2, y2, type) {
+        this.walls.push(Elements.create(type, { x: x1, y: y1 }, { x: x2, y: y2 }));
     }
 
-    /* Detect whether the ray segment passes through target circle */
-    segmentCircleIntersect(p1, p2, circle) {
-        const L2 = Vec2.dist(p1, p2) ** 2;
-        if (L2 === 0) return Vec2.dist(p1, circle) < circle.r;
+    /* ============================================================================
+       Continue PhotonGame class — Ray simulation + interaction logic
+    ============================================================================ */
 
-        let t = ((circle.x - p1.x) * (p2.x - p1.x) + (circle.y - p1.y) * (p2.y - p1.y)) / L2;
-        t = Math.max(0, Math.min(1, t)); // clamp to segment
+    /* --------------------------------------------------------------------------
+       Trace a ray through the current level using the headless Optics core.
+       Hit effects play later, as the animated beam reaches each wall.
+       Returns: { root, rays, path:[points], hits:[...], success:true/false, outcome }
+    -------------------------------------------------------------------------- */
+    traceRay(start, dir) {
+        return Optics.traceRay({
+            walls: this.walls,
+            grid: this.editor.active ? null : this.grid,   // Editor moves walls under the grid
+            start,
+            dir,
+            maxBounces: this.maxBounces,
+            ...this.objectives(),
+            materials: this.materials
+        });
+    }
 
-        const proj = {
-            x: p1.x + t * (p2.x - p1.x),
-            y: p1.y + t * (p2.y - p1.y)
-        };
-        return Vec2.dist(circle, proj) < circle.r;
+    /* Objective nodes in the form Optics.traceRay takes them */
+    objectives() {
+        return { targets: this.targets, checkpoints: this.checkpoints, forbidden: this.forbidden };
     }
 
     /* --------------------------------------------------------------------------
-       Fire a ray based on mouse direction
+       Fire a ray from the active emitter based on mouse direction.
+       A round is one pass through the emitters: light adds up per target
+       across its shots, and the level is cleared as soon as every target
+       has enough. Touching a forbidden node, or firing the last emitter
+       without lighting them all, fails the round and starts a new one.
        Update UI statistics + generate trails
     -------------------------------------------------------------------------- */
     shootRay() {
+        if (this.winPending || this.building) return;
         this.attempts++;
+        this.shots++;
         this.ui.attempts.innerText = this.attempts;
+        this.updateBudgetUi();
+        if (this.reward && this.reward.active) {
+            this.reward = null;         // One-time hint spent
+            this.updateRewardUi();
+        }
 
-        let dir = Vec2.sub(this.mouse, this.emitter);
-        if (Vec2.mag(dir) === 0) dir = { x: 1, y: 0 };
-
-        const result = this.traceRay(this.emitter, dir);
+        const result = this.traceRay(this.emitter, this.getAimDirection());
         const rayLen = this.calculatePathLength(result.path);
+        const round = this.round;
+        round.shots++;
+        round.length += rayLen;
+        result.lit.forEach((p, i) => round.lit[i] += p);
+        round.checkpoints = Math.max(round.checkpoints, ...result.rays.map(ray => ray.progress));
+        round.forbidden = result.forbidden;
+
+        const won = !result.forbidden && this.targets.every((t, i) => Optics.targetLit(t, round.lit[i]));
+        const failed = !won && (result.forbidden || this.emitterIndex === this.emitters.length - 1);
+        const length = round.length;
+        const score = this.shotScore(length);
 
         // Update displayed stats
         this.totalSessionDistance += rayLen;
-        this.ui.statCurrent.innerText = rayLen;
+        this.ui.statCurrent.innerText = won ? length + this.formatParDelta(length) : length;
         this.ui.statSessionTotal.innerText = this.totalSessionDistance.toLocaleString();
 
-        if (result.success) {
-            if (rayLen < this.currentLevelBest) {
-                this.currentLevelBest = rayLen;
-                this.levelRecords[this.levelIndex] = rayLen;
-                this.ui.statBest.innerText = rayLen;
+        // An edited layout (editor.js) is not the level its records belong to
+        const onRecord = !this.edited;
+        if (this.daily && onRecord) this.dailyRecord().attempts++;
+        if (won && onRecord) {
+            if (score < this.currentLevelBest) {
+                this.currentLevelBest = score;
+                if (this.daily) this.dailyRecord()[this.recordKey()] = score;
+                else this.levelRecords[this.levelIndex] = {
+                    best: null, assisted: null,
+                    ...this.levelRecords[this.levelIndex],
+                    [this.recordKey()]: score
+                };
+                this.ui.statBest.innerText = score;
                 this.ui.statBest.classList.add('stat-highlight');
                 setTimeout(() => this.ui.statBest.classList.remove('stat-highlight'), 500);
             }
-            this.updateOptimizedTotal();
         }
 
-        // Store trail history (maximum 10)
-        this.history.unshift({
+        // Stars and points against par and the attempt budget (fair level clears only
+        // are kept), and the fewest hints any clear of the level needed
+        const rating = won && Scoring.rate({ score: score + this.failure.penalty(), par: this.parLength, attempts: this.shots, budget: this.attemptBudget });
+        if (won && onRecord && !this.daily) {
+            const rec = { best: null, assisted: null, ...this.levelRecords[this.levelIndex] };
+            const hints = rec.hints === undefined ? this.hints.level : Math.min(rec.hints, this.hints.level);
+            this.levelRecords[this.levelIndex] = this.assistUsed ? { ...rec, hints } : {
+                ...rec,
+                points: Math.max(rec.points || 0, rating.points),
+                stars: Math.max(rec.stars || 0, rating.stars),
+                hints
+            };
+        }
+        if (won) this.updateTotals();
+
+        const shot = this.recordShot(result);
+
+        if (won && onRecord && this.daily) this.recordDailyRun(score, shot.angle);
+        if (won) this.handleWin(length, round, rating, this.travelTime(shot, rayLen));
+        else if (failed) this.newRound(result.forbidden ? "FORBIDDEN NODE HIT" : "NOT ALL TARGETS LIT");
+        else this.setEmitter(this.emitterIndex + 1);
+        this.updateObjectives();
+        if (this.daily) this.updateDailyUi();
+        this.saveProgress();
+
+        // Too many failed rounds → redirect / overlay / hint / penalty (failure.js)
+        if (failed) this.failure.record();
+    }
+
+
+
+    /* Start a round: back to the first emitter with nothing lit.
+       `failure` says why the previous round ended, shown until the next shot */
+    newRound(failure = null) {
+        this.round = { lit: this.targets.map(() => 0), length: 0, shots: 0, checkpoints: 0, forbidden: false, failure };
+        this.setEmitter(0);
+        this.updateObjectives();
+    }
+
+    setEmitter(i) {
+        this.emitterIndex = i;
+        this.emitter = this.emitters[i];
+        this.fixedAngle = this.emitter.angle !== undefined ? this.emitter.angle : null;
+        this.preview = null;
+    }
+
+    // Classic one-emitter / one-target level without extra nodes
+    isSimpleLevel() {
+        return this.emitters.length === 1 && this.targets.length === 1 && !this.checkpoints.length && !this.forbidden.length;
+    }
+
+    // HUD line with the round's progress (empty on simple levels)
+    updateObjectives() {
+        const r = this.round;
+        if (!r || this.isSimpleLevel()) {
+            this.ui.objectives.innerHTML = '';
+            return;
+        }
+        const parts = [];
+        if (this.emitters.length > 1) parts.push(`EMITTER ${this.emitterIndex + 1}/${this.emitters.length}`);
+        parts.push(`TARGETS ${r.lit.filter((p, i) => Optics.targetLit(this.targets[i], p)).length}/${this.targets.length}`);
+        if (this.checkpoints.length) parts.push(`CHECKPOINTS ${r.checkpoints}/${this.checkpoints.length}`);
+        if (r.failure) parts.push(`<span class="fail">✘ ${r.failure}</span>`);
+        this.ui.objectives.innerHTML = parts.join(' · ');
+    }
+
+    /* Unit aim direction — toward the cursor unless the angle is locked (input.js) */
+    getAimDirection() {
+        return this.aim.getDirection();
+    }
+
+    /* --------------------------------------------------------------------------
+       Store trail history (maximum 10)
+       Each ray keeps its cumulative vertex distances and the distance from
+       the emitter where it starts (offset), so the beam can be animated along
+       the whole tree; events are the wall hits in the order the beam reaches them.
+    -------------------------------------------------------------------------- */
+    recordShot(result) {
+        const rays = [], events = [];
+        const walk = (node, offset) => {
+            const lengths = [0];
+            for (let i = 1; i < node.path.length; i++)
+                lengths.push(lengths[i - 1] + Vec2.dist(node.path[i - 1], node.path[i]));
+            rays.push({ path: node.path, lengths, offset, band: node.band, intensity: node.intensity });
+            node.hits.forEach((hit, i) => events.push({ at: offset + lengths[i + 1], hit, band: node.band }));
+            node.children.forEach(child => walk(child, offset + lengths[lengths.length - 1]));
+        };
+        walk(result.root, 0);
+        events.sort((a, b) => a.at - b.at);
+
+        const shot = {
             path: result.path,
+            rays,
+            hits: result.hits,
+            events,
+            nextEvent: 0,                       // First event not yet played
+            power: result.power,
+            angle: this.aim.getAngle(),         // Degrees, for "repeat last shot"
             timestamp: Date.now(),
             success: result.success,
             color: result.success ? '#0f0' : CONFIG.colors.shot1
-        });
+        };
+        this.history.unshift(shot);
         if (this.history.length > 10) this.history.pop();
+        return shot;
+    }
 
-        if (result.success) this.handleWin(rayLen);
+    /* --------------------------------------------------------------------------
+       Beam animation
+    -------------------------------------------------------------------------- */
 
+    beamSpeed() {
+        return CONFIG.beamSpeeds[this.settings.beamSpeed] || CONFIG.beamSpeeds.normal;
+    }
 
-        if (!result.success) {
-            if (this.attempts >= 10) {
-                alert("You failed 10 times!\nBeat the click challenge to continue.");
-                window.location.href = "button.html?return=game"; // redirect
-                return;
-            }
-        }
+    setBeamSpeed(name) {
+        if (!CONFIG.beamSpeeds[name]) return;
+        this.settings.beamSpeed = name;
+        this.ui.beamSpeed.value = name;
+        this.saveProgress();
+    }
+
+    // Distance the beam of a shot has travelled so far
+    shotReach(shot) {
+        const speed = this.beamSpeed();
+        return speed === Infinity ? Infinity : (Date.now() - shot.timestamp) / 1000 * speed;
     }
 
+    // Milliseconds until the beam has covered `distance`
+    travelTime(shot, distance) {
+        const speed = this.beamSpeed();
+        return speed === Infinity ? 0 : distance / speed * 1000;
+    }
+
+    // Play the sparks + wall highlight of every hit the beam has reached
+    advanceShot(shot) {
+        const reach = this.shotReach(shot);
+        while (shot.nextEvent < shot.events.length && shot.events[shot.nextEvent].at <= reach) {
+            const { hit, band } = shot.events[shot.nextEvent++];
+            const spark = Elements.get(hit.type).spark;
+            if (spark) this.spawnParticles(hit.point, band ? band.color : spark.color, spark.speed);
+            this.flashes.push({ wall: hit.wall, point: hit.point, life: 1 });
+        }
+        return reach;
+    }
 
+    /* Score of a clear: path length, plus a penalty per placed inventory piece.
+       The failure penalty (failure.js) only lowers the rating, so records and
+       daily result strings stay the re-traceable length */
+    shotScore(rayLen) {
+        return rayLen + this.inventory.used() * CONFIG.puzzle.piecePenalty;
+    }
 
     /* Compute total path length of a ray */
     calculatePathLength(points) {
-        let L = 0;
-        for (let i = 0; i < points.length - 1; i++)
-            L += Vec2.dist(points[i], points[i + 1]);
-        return Math.floor(L);
+        return Math.floor(Optics.pathLength(points));
+    }
+
+    /* " (+4.2%)" style suffix showing how far a clear is from par */
+    formatParDelta(rayLen) {
+        if (this.parLength === null) return "";
+        const pct = (rayLen - this.parLength) / this.parLength * 100;
+        return ` (${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%)`;
     }
 
-    /* Sum best record of every level played */
+    /* Sum the unassisted best record of every level played */
     updateOptimizedTotal() {
         const total = Object.values(this.levelRecords)
-            .reduce((a, b) => a + b, 0);
+            .reduce((a, rec) => a + (rec.best || 0), 0);
         this.ui.statOptTotal.innerText = total.toLocaleString();
     }
 
-    /* Trigger win overlay with stats */
-    handleWin(rayLen) {
-        for (let i = 0; i < 50; i++)
-            this.spawnParticles(this.target, '#0f0', 15);
+    /* Session score — best points of every level, normalized so each level
+       counts the same (scoring.js); the tooltip shows the share of the maximum */
+    updateScore() {
+        const total = Scoring.total(this.levelRecords);
+        this.ui.statScore.innerText = `${total.points.toLocaleString()} ★${total.stars}`;
+        this.ui.statScore.title = total.levels
+            ? `${Math.round(total.points / total.max * 100)}% of ${total.max.toLocaleString()} over ${total.levels} levels`
+            : '';
+    }
+
+    /* Refresh the running totals (after clears, restoring or resetting progress) */
+    updateTotals() {
+        this.updateOptimizedTotal();
+        this.updateScore();
+        this.ui.statSessionTotal.innerText = this.totalSessionDistance.toLocaleString();
+    }
+
+    /* --------------------------------------------------------------------------
+       Aim preview assist
+       Clears made while the preview was on count toward a separate
+       "assisted" record so the fair records stay comparable.
+    -------------------------------------------------------------------------- */
+
+    // Which record a clear on the current layout counts toward
+    recordKey() {
+        return this.assistUsed ? 'assisted' : 'best';
+    }
+
+    // Best clear of a level in the current record category (Infinity if none)
+    levelBest(index) {
+        const best = this.levelRecords[index] && this.levelRecords[index][this.recordKey()];
+        return typeof best === 'number' ? best : Infinity;
+    }
+
+    // " · fewest on this level: N" once a clear of the level recorded its hints
+    hintRecord() {
+        const rec = !this.daily && this.levelRecords[this.levelIndex];
+        return rec && rec.hints !== undefined ? ` · fewest on this level: ${rec.hints}` : '';
+    }
+
+    togglePreview() {
+        this.settings.preview = !this.settings.preview;
+        if (this.settings.preview) this.markAssisted();
+        this.updateSettingsUi();
+        this.saveProgress();
+    }
+
+    // From now on clears of this layout go to the assisted record
+    markAssisted() {
+        if (this.assistUsed) return;
+        this.assistUsed = true;
+        this.currentLevelBest = this.daily ? this.dailyBest() : this.levelBest(this.levelIndex);
+        this.ui.statBest.innerText = this.currentLevelBest === Infinity ? "--" : this.currentLevelBest;
+    }
+
+    setFailureMode(name) {
+        if (!CONFIG.failure.modes.includes(name)) return;
+        this.settings.failureMode = name;
+        this.updateSettingsUi();
+        this.saveProgress();
+    }
+
+    setDifficulty(name) {
+        if (!CONFIG.difficulties[name]) return;
+        this.settings.difficulty = name;
+        this.preview = null;
+        this.updateSettingsUi();
+        this.saveProgress();
+    }
+
+    // Reflect the saved settings in the HUD controls
+    updateSettingsUi() {
+        this.ui.preview.classList.toggle('on', this.settings.preview);
+        this.ui.difficulty.value = this.settings.difficulty;
+        this.ui.beamSpeed.value = this.settings.beamSpeed;
+        this.ui.failureMode.value = this.settings.failureMode;
+        if (this.failure) this.failure.updateUi();
+    }
+
+    // Predicted beam toward the cursor, re-traced only when the aim changes.
+    // Returns the ray tree nodes to draw, or null when the preview is off
+    // (an active reward hint shows its own bounces for the next shot)
+    updatePreview() {
+        const reward = this.reward && this.reward.active ? this.reward.bounces : 0;
+        if ((!this.settings.preview && !reward) || this.editor.active) return null;
+
+        const { previewBounces } = CONFIG.difficulties[this.settings.difficulty] || CONFIG.difficulties.normal;
+        const bounces = Math.max(reward, this.settings.preview ? previewBounces : 0);
+        const dir = Vec2.normalize(this.getAimDirection());
+        const key = [this.emitter.x, this.emitter.y, dir.x, dir.y, bounces, this.movingWalls.length && this.levelTime].join();
+        if (this.preview && this.preview.key === key) return this.preview.rays;
+
+        const result = Optics.traceRay({
+            walls: this.walls,
+            grid: this.grid,
+            start: this.emitter,
+            dir,
+            maxBounces: Math.min(this.maxBounces, bounces + 1),
+            ...this.objectives(),
+            materials: this.materials
+        });
+        this.preview = { key, rays: result.rays };
+        return result.rays;
+    }
 
+    /* Trigger win overlay with stats once the beam (delay ms) reaches the target
+       rayLen is the length of the whole round (every emitter fired in it),
+       rating the clear's Scoring.rate result */
+    handleWin(rayLen, round, rating, delay = 0) {
+        if (!this.daily) this.unlockedLevel = Math.max(this.unlockedLevel, this.levelIndex + 1);
+
+        const pieces = this.inventory.used();
+        const penalty = this.failure.penalty();
         this.ui.stats.innerHTML = `
-            Path Length: <b style="color:#0f0">${rayLen} px</b><br>
-            Level Best: <b>${this.currentLevelBest} px</b><br>
-            Attempts: ${this.attempts}
+            Path Length: <b style="color:#0f0">${rayLen} units</b><br>
+            ${this.inventory.active ? `Pieces Used: ${pieces} (+${pieces * CONFIG.puzzle.piecePenalty})<br>` : ''}
+            ${this.inventory.active ? `Score: <b>${this.shotScore(rayLen)}</b><br>` : ''}
+            ${penalty ? `Failure Penalty: +${penalty} <span style="color:#888">(rating only)</span><br>` : ''}
+            Level Best: <b>${this.currentLevelBest} units</b><br>
+            Par: ${this.parLength === null ? '--' : this.parLength + ' units' + this.formatParDelta(rayLen)}<br>
+            Rating: <b style="color:#fd0">${Scoring.stars(rating.stars)}</b> · <b>${rating.points} pts</b>
+            ${this.assistUsed || this.daily ? '<span style="color:#888">(not added to the score)</span>' : ''}<br>
+            <span style="color:#888">length ×${rating.length.toFixed(2)}${rating.withinPar ? ' ★' : ''} ·
+            attempts ×${rating.attempts.toFixed(2)}${rating.withinBudget ? ' ★' : ''}</span><br>
+            ${this.objectiveReport(round)}
+            ${this.daily ? `Daily Attempts: ${this.dailyRecord().attempts}<br>${this.leaderboardHtml()}` : ''}
+            ${this.hints.solution ? `Hints: ${this.hints.level} / ${this.hints.steps}${this.hintRecord()}<br>` : ''}
+            Attempts: ${this.attempts}${this.budgetNote()}${this.assistUsed ? '<br><span style="color:#888">Assisted (preview / hint) — recorded separately</span>' : ''}
         `;
 
-        setTimeout(() => this.ui.win.classList.add('active'), 300);
+        this.winTimers.push(setTimeout(() => {
+            this.targets.forEach(t => {
+                for (let i = 0; i < 50; i++) this.spawnParticles(t, '#0f0', 15);
+            });
+        }, delay));
+        this.winTimers.push(setTimeout(() => this.ui.win.classList.add('active'), delay + 300));
+    }
+
+    // The layout is cleared: its win is on the way or on screen until the next load
+    get winPending() {
+        return this.winTimers.length > 0;
+    }
+
+    /* --------------------------------------------------------------------------
+       Daily challenge (see daily.js)
+       The day's maze has its own best / attempt tracking and a local
+       leaderboard of named runs; the regular level is resumed on exit.
+    -------------------------------------------------------------------------- */
+    startDaily(key = DailyChallenge.key()) {
+        if (!DailyChallenge.isKey(key)) return alert(`Not a daily challenge date: "${key}" (expected YYYY-MM-DD)`);
+        if (this.editor.active) this.editor.toggle();
+        const resume = this.daily ? this.daily.resume
+            : { seed: this.seed, attempts: this.attempts, shots: this.shots, failure: this.failure.snapshot() };
+        this.daily = { key, seed: DailyChallenge.seed(key), resume };
+        this.loadLevel(this.levelIndex);
+        this.updateDailyUi();
+    }
+
+    exitDaily() {
+        if (!this.daily) return;
+        const { resume } = this.daily;
+        this.daily = null;
+        this.loadLevel(this.levelIndex, false, resume.seed === null ? undefined : resume.seed);
+        this.restoreAttempts(resume);
+        this.failure.restore(resume.failure);
+        this.updateDailyUi();
+        this.saveProgress();
+    }
+
+    // Record of the daily being played (created on first use)
+    dailyRecord() {
+        const key = this.daily.key;
+        if (!this.dailyRecords[key]) this.dailyRecords[key] = { best: null, assisted: null, attempts: 0, runs: [] };
+        return this.dailyRecords[key];
+    }
+
+    // Best daily clear in the current record category (Infinity if none)
+    dailyBest() {
+        const best = this.dailyRecord()[this.recordKey()];
+        return typeof best === 'number' ? best : Infinity;
+    }
+
+    // Name shown on leaderboard runs — asked once, then kept in the settings
+    playerName() {
+        if (!this.settings.playerName) {
+            const name = prompt("Name for the daily leaderboard:", "Player");
+            this.settings.playerName = (name || '').trim().slice(0, 24) || "Player";
+        }
+        return this.settings.playerName;
+    }
+
+    // Add a clear to the day's leaderboard (best runs first)
+    recordDailyRun(length, angle) {
+        const rec = this.dailyRecord();
+        rec.runs.push({
+            name: this.playerName(),
+            length,
+            attempts: rec.attempts,
+            angle,
+            assisted: this.assistUsed,
+            w: this.world.width,
+            h: this.world.height,
+            time: Date.now()
+        });
+        rec.runs.sort((a, b) => a.length - b.length || a.attempts - b.attempts);
+        rec.runs.length = Math.min(rec.runs.length, CONFIG.daily.leaderboardSize);
+        this.updateDailyUi();
+    }
+
+    leaderboardHtml() {
+        const runs = this.dailyRecord().runs;
+        if (!runs.length) return '';
+        return '<br><b>Leaderboard</b><br>' + runs.map((run, i) =>
+            `${i + 1}. ${run.name.replace(/[<&]/g, '')} — ${run.length} units · ${run.attempts} attempts${run.assisted ? ' · assisted' : ''}`
+        ).join('<br>') + '<br>';
+    }
+
+    showLeaderboard() {
+        const runs = this.dailyRecord().runs;
+        alert(`Daily ${this.daily.key}\n\n` + (runs.length
+            ? runs.map((run, i) => `${i + 1}. ${run.name} — ${run.length} units · ${run.attempts} attempts${run.assisted ? ' · assisted' : ''}`).join('\n')
+            : "No clears yet."));
+    }
+
+    // Copy the day's best run as a verifiable result string
+    copyDailyResult() {
+        const run = this.dailyRecord().runs[0];
+        if (!run) return alert("Clear the daily maze first.");
+        const text = DailyChallenge.encode({ key: this.daily.key, ...run });
+        if (navigator.clipboard) navigator.clipboard.writeText(text).catch(() => prompt("Your result:", text));
+        else prompt("Your result:", text);
+    }
+
+    // Re-trace a pasted result against its rebuilt maze
+    verifyDailyResult() {
+        const text = prompt("Paste a daily result to verify:");
+        if (!text) return;
+        const check = DailyChallenge.verify(text);
+        alert(check.ok
+            ? `✔ Verified: ${check.run.name} cleared ${check.run.key} in ${check.run.length} units (${check.run.attempts} attempts)`
+            : `✘ Not verified: ${check.reason}`);
+    }
+
+    updateDailyUi() {
+        this.ui.dailyBar.classList.toggle('active', !!this.daily);
+        this.ui.dailyToggle.classList.toggle('on', !!this.daily);
+        if (!this.daily) return;
+        const rec = this.dailyRecord();
+        this.ui.dailyInfo.innerText = `DAILY ${this.daily.key} · BEST ${rec.best === null ? '--' : rec.best} · ATTEMPTS ${rec.attempts} · RUNS ${rec.runs.length}`;
+    }
+
+    /* Win-stats lines: power per target plus every extra objective (✔ / ✘) */
+    objectiveReport(round) {
+        const mark = ok => ok ? '<span style="color:#0f0">✔</span>' : '<span style="color:#f44">✘</span>';
+        const needed = t => Optics.targetMinPower(t);
+        const power = (t, p) => `${Math.round(p * 100)}%${needed(t) ? ` (needed ${Math.round(needed(t) * 100)}%)` : ''}`;
+        const lines = [];
+
+        if (this.targets.length === 1) lines.push(`Power Delivered: ${power(this.target, round.lit[0])}`);
+        else this.targets.forEach((t, i) => {
+            const ok = Optics.targetLit(t, round.lit[i]);
+            lines.push(`${mark(ok)} Target ${i + 1}: ${power(t, round.lit[i])}`);
+        });
+        if (this.emitters.length > 1) lines.push(`Emitters Fired: ${round.shots}/${this.emitters.length}`);
+        if (this.checkpoints.length)
+            lines.push(`${mark(round.checkpoints >= this.checkpoints.length)} Checkpoints in order: ${round.checkpoints}/${this.checkpoints.length}`);
+        if (this.forbidden.length) lines.push(`${mark(!round.forbidden)} Forbidden nodes avoided`);
+        return lines.map(line => line + '<br>').join('');
     }
 
     /* Simple pixel particle burst effect */
@@ -470,9 +1238,11 @@ class PhotonGame {
    Public control methods (used by buttons in HTML)
 -------------------------------------------------------------------------- */
 
-    // Advance to the next level (generates new layout if beyond static levels)
+    // Advance to the next level (generates new layout if beyond static levels);
+    // from the daily challenge, go back to the regular levels
     nextLevel() {
-        this.loadLevel(this.levelIndex + 1);
+        if (this.daily) this.exitDaily();
+        else this.loadLevel(this.levelIndex + 1);
     }
 
     // Reset current level state change geometry layout (diff puzzle)
@@ -485,6 +1255,13 @@ class PhotonGame {
         this.loadLevel(this.levelIndex, true);
     }
 
+    // Copy a link to the current layout so others can race on the same maze
+    shareLevel() {
+        const url = this.getShareUrl();
+        if (navigator.clipboard) navigator.clipboard.writeText(url).catch(() => prompt("Share this link:", url));
+        else prompt("Share this link:", url);
+    }
+
 
 
 
@@ -501,30 +1278,50 @@ class PhotonGame {
         const dt = timestamp - this.lastTime;
         this.lastTime = timestamp;
 
-        // Clear background
+        // Advance the level clock; the editor freezes walls in their rest pose
+        if (!this.editor.active && dt > 0) {
+            this.levelTime += dt / 1000;
+            this.updateMotion();
+        }
+
+        // Screen moved to a display with another pixel density → resize the backing store
+        if ((window.devicePixelRatio || 1) !== this.dpr) this.resize();
+
+        // Clear background (everything below is drawn in world units)
+        this.applyView();
         this.ctx.fillStyle = '#050508';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillRect(0, 0, this.world.width, this.world.height);
 
-        // Draw target and walls first
-        this.drawTarget();
+        // Only the background until the procedural maze is built (buildMaze)
+        if (this.building) {
+            requestAnimationFrame(this.animate);
+            return;
+        }
+
+        // Draw targets, checkpoint / forbidden nodes and walls first
+        this.targets.forEach((t, i) => this.drawTarget(t, this.round && Optics.targetLit(t, this.round.lit[i])));
+        this.drawNodes();
         this.walls.forEach(w => this.drawWall(w));
+        this.drawFlashes(dt);
+        this.editor.draw(this.ctx);
+        this.inventory.draw(this.ctx);
+        this.hints.draw(this.ctx);
 
-        // Draw emitter (origin point of the beam)
-        this.ctx.beginPath();
-        this.ctx.arc(this.emitter.x, this.emitter.y, 8, 0, Math.PI * 2);
-        this.ctx.fillStyle = '#fff';
-        this.ctx.shadowBlur = 10;
-        this.ctx.shadowColor = '#fff';
-        this.ctx.fill();
-        this.ctx.shadowBlur = 0;
+        // Draw emitters (origin points of the beam); waiting ones are dimmed
+        this.emitters.forEach(em => this.drawEmitter(em, em === this.emitter));
 
-        // Draw previous ray paths (oldest at back)
+        // Draw previous ray paths (oldest at back), advancing animated beams
         for (let i = this.history.length - 1; i >= 0; i--) {
-            this.drawPath(this.history[i], i);
+            this.drawPath(this.history[i], i, this.advanceShot(this.history[i]));
         }
+        this.replay.draw(this.ctx);
 
-        // Draw aiming line from emitter toward mouse cursor
+        // Keyboard / gamepad aim + angle readout
+        this.aim.update(dt);
+
+        // Draw aiming line along the aim direction (or the full preview)
         this.drawAimLine();
+        this.drawPreview();
 
         // Update and render particle effects
         this.updateAndDrawParticles();
@@ -536,51 +1333,91 @@ class PhotonGame {
        Rendering helpers
     -------------------------------------------------------------------------- */
 
-    // Draw pulsating target circle
-    drawTarget() {
-        const t = this.target;
+    // Draw pulsating target circle, filled once lit this round
+    // (colored targets only accept light of their spectrum band)
+    drawTarget(t, lit = false) {
         const pulse = Math.sin(Date.now() / 200) * 3;
+        const band = t.color && CONFIG.spectrum.find(b => b.name === t.color);
+        const color = band ? band.color : '#0f0';
 
         this.ctx.beginPath();
         this.ctx.arc(t.x, t.y, t.r + pulse, 0, Math.PI * 2);
-        this.ctx.strokeStyle = '#0f0';
+        this.ctx.strokeStyle = color;
         this.ctx.lineWidth = 2;
         this.ctx.shadowBlur = 15;
-        this.ctx.shadowColor = '#0f0';
+        this.ctx.shadowColor = color;
         this.ctx.stroke();
+        if (lit) {
+            this.ctx.globalAlpha = 0.35;
+            this.ctx.fillStyle = color;
+            this.ctx.fill();
+            this.ctx.globalAlpha = 1.0;
+        }
         this.ctx.shadowBlur = 0;
     }
 
-    // Draw a wall segment (mirror/glass/absorber)
-    drawWall(w) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(w.a.x, w.a.y);
-        this.ctx.lineTo(w.b.x, w.b.y);
-        this.ctx.lineWidth = 4;
-        this.ctx.lineCap = 'round';
-
-        if (w.type === 'mirror') {
-            this.ctx.strokeStyle = CONFIG.colors.wall;
-            this.ctx.shadowBlur = 10;
-            this.ctx.shadowColor = CONFIG.colors.wall;
-        } else if (w.type === 'glass') {
-            this.ctx.strokeStyle = CONFIG.colors.glass;
-            this.ctx.lineWidth = 6;
-            this.ctx.shadowBlur = 5;
-            this.ctx.shadowColor = '#fff';
-        } else {
-            this.ctx.strokeStyle = CONFIG.colors.absorb;
-            this.ctx.shadowBlur = 0;
+    // Numbered checkpoints (solid once a beam has crossed them in order)
+    // and crossed-out forbidden nodes
+    drawNodes() {
+        const ctx = this.ctx;
+        const passed = this.round ? this.round.checkpoints : 0;
+        ctx.lineWidth = 2;
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        this.checkpoints.forEach((c, i) => {
+            ctx.setLineDash(i < passed ? [] : [4, 3]);
+            ctx.beginPath();
+            ctx.arc(c.x, c.y, c.r, 0, Math.PI * 2);
+            ctx.strokeStyle = '#ff0';
+            ctx.stroke();
+            ctx.fillStyle = '#ff0';
+            ctx.fillText(i + 1, c.x, c.y);
+        });
+        ctx.setLineDash([]);
+
+        ctx.strokeStyle = '#f44';
+        this.forbidden.forEach(f => {
+            const d = f.r * Math.SQRT1_2;
+            ctx.beginPath();
+            ctx.arc(f.x, f.y, f.r, 0, Math.PI * 2);
+            ctx.moveTo(f.x - d, f.y - d);
+            ctx.lineTo(f.x + d, f.y + d);
+            ctx.moveTo(f.x + d, f.y - d);
+            ctx.lineTo(f.x - d, f.y + d);
+            ctx.stroke();
+        });
+        ctx.textAlign = 'start';
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    // Emitter dot; with several emitters the others are numbered and dimmed
+    drawEmitter(em, active) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        ctx.arc(em.x, em.y, 8, 0, Math.PI * 2);
+        ctx.fillStyle = active ? '#fff' : '#555';
+        ctx.shadowBlur = active ? 10 : 0;
+        ctx.shadowColor = '#fff';
+        ctx.fill();
+        ctx.shadowBlur = 0;
+
+        if (this.emitters.length > 1) {
+            ctx.fillStyle = active ? '#fff' : '#888';
+            ctx.font = '11px monospace';
+            ctx.fillText(this.emitters.indexOf(em) + 1, em.x + 11, em.y - 9);
         }
+    }
 
-        this.ctx.stroke();
-        this.ctx.shadowBlur = 0;
+    // Draw a wall — each element type renders itself (see elements.js)
+    drawWall(w) {
+        Elements.draw(this.ctx, w);
     }
 
-    // Draw a single ray path from history
-    drawPath(historyItem, index) {
-        const path = historyItem.path;
-        if (!path || path.length < 2) return;
+    // Draw a single ray path from history, up to `reach` world units along the beam
+    drawPath(historyItem, index, reach = Infinity) {
+        if (!historyItem.path || historyItem.path.length < 2) return;
 
         // Color logic: brightest for newest, fades for older
         let color = historyItem.success ? '#0f0' : CONFIG.colors.shot1;
@@ -590,23 +1427,38 @@ class PhotonGame {
             if (index > 2) color = CONFIG.colors.old;
         }
 
-        this.ctx.beginPath();
-        this.ctx.moveTo(path[0].x, path[0].y);
-        for (let j = 1; j < path.length; j++) {
-            this.ctx.lineTo(path[j].x, path[j].y);
-        }
-
-        this.ctx.strokeStyle = color;
         this.ctx.lineWidth = index === 0 ? 2 : 1;
-        this.ctx.globalAlpha = Math.max(0.2, 1 - index * 0.15);
         this.ctx.globalCompositeOperation = 'screen';
+        const fade = Math.max(0.2, 1 - index * 0.15);
+
+        // Every branch of the ray tree; spectral sub-rays keep their own color
+        // and brightness follows the intensity the branch still carries
+        historyItem.rays.forEach(ray => {
+            const { path, lengths } = ray;
+            const local = reach - ray.offset;
+            if (local <= 0) return;
+            const rayColor = ray.band ? ray.band.color : color;
+            this.ctx.globalAlpha = fade * Math.max(0.05, ray.intensity);
+
+            this.ctx.beginPath();
+            this.ctx.moveTo(path[0].x, path[0].y);
+            for (let j = 1; j < path.length; j++) {
+                // Beam front partway along this segment
+                if (lengths[j] > local) {
+                    const k = (local - lengths[j - 1]) / (lengths[j] - lengths[j - 1]);
+                    this.ctx.lineTo(path[j - 1].x + (path[j].x - path[j - 1].x) * k, path[j - 1].y + (path[j].y - path[j - 1].y) * k);
+                    break;
+                }
+                this.ctx.lineTo(path[j].x, path[j].y);
+            }
 
-        if (index === 0) {
-            this.ctx.shadowBlur = 10;
-            this.ctx.shadowColor = color;
-        }
-
-        this.ctx.stroke();
+            this.ctx.strokeStyle = rayColor;
+            if (index === 0) {
+                this.ctx.shadowBlur = 10;
+                this.ctx.shadowColor = rayColor;
+            }
+            this.ctx.stroke();
+        });
 
         // Reset composite state
         this.ctx.shadowBlur = 0;
@@ -621,9 +1473,7 @@ class PhotonGame {
         this.ctx.beginPath();
         this.ctx.moveTo(this.emitter.x, this.emitter.y);
 
-        let dir = Vec2.sub(this.mouse, this.emitter);
-        if (Vec2.mag(dir) === 0) dir = { x: 1, y: 0 };
-        dir = Vec2.normalize(dir);
+        const dir = this.getAimDirection();
 
         const end = {
             x: this.emitter.x + dir.x * 50,
@@ -637,6 +1487,45 @@ class PhotonGame {
         this.ctx.setLineDash([]);
     }
 
+    // Dashed predicted path of the aim preview assist
+    drawPreview() {
+        if (this.ui.win.classList.contains('active')) return;
+        const rays = this.updatePreview();
+        if (!rays) return;
+
+        this.ctx.setLineDash([6, 6]);
+        this.ctx.lineWidth = 1;
+        rays.forEach(ray => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(ray.path[0].x, ray.path[0].y);
+            for (let j = 1; j < ray.path.length; j++) this.ctx.lineTo(ray.path[j].x, ray.path[j].y);
+            this.ctx.strokeStyle = ray.band ? ray.band.color : '#fff';
+            this.ctx.globalAlpha = 0.5 * Math.max(0.1, ray.intensity);
+            this.ctx.stroke();
+        });
+        this.ctx.globalAlpha = 1.0;
+        this.ctx.setLineDash([]);
+    }
+
+    // Brief glow on walls the beam just hit
+    drawFlashes(dt) {
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'lighter';
+        this.flashes = this.flashes.filter(f => {
+            f.life -= (dt || 16) / 400;
+            if (f.life <= 0) return false;
+            this.ctx.globalAlpha = f.life;
+            Elements.draw(this.ctx, f.wall);
+            this.ctx.beginPath();
+            this.ctx.arc(f.point.x, f.point.y, 4 + (1 - f.life) * 10, 0, Math.PI * 2);
+            this.ctx.strokeStyle = '#fff';
+            this.ctx.lineWidth = 2;
+            this.ctx.stroke();
+            return true;
+        });
+        this.ctx.restore();
+    }
+
     // Update and render all active particles
     updateAndDrawParticles() {
         for (let i = this.particles.length - 1; i >= 0; i--) {
@@ -0,0 +1,63 @@
+/* ======================================================================
+   Handoff — the maze ↔ Hit the Button page protocol
+   A ticket travels as JSON in the `handoff` query parameter:
+
+     index.html → button.html   { v, id, level, seed, daily, record, severity }
+     button.html → index.html   the same ticket + outcome:
+                                { won, time, stagesCleared, stages, clicks, misses }
+
+   `level` is the level index, `seed` the maze seed (null for static
+   levels), `daily` the daily key (or null) and `record` the best clear
+   in the current record category (null if none). The puzzle itself is
+   suspended in ProgressStore (PhotonGame.suspend); `id` ties a returning
+   ticket to that snapshot, so a stale link can't reset another puzzle.
+   Loaded by both pages — only `reward` needs config.js.
+====================================================================== */
+const Handoff = {
+    PARAM: 'handoff',
+    VERSION: 1,
+
+    // Fresh ticket id (unique enough for one browser profile)
+    newId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    },
+
+    // page URL carrying the ticket
+    url(page, ticket) {
+        return `${page}?${new URLSearchParams({ [Handoff.PARAM]: JSON.stringify({ ...ticket, v: Handoff.VERSION }) })}`;
+    },
+
+    /* Ticket from a query string or URLSearchParams, or null when absent or
+       malformed (never throws) */
+    read(query) {
+        const params = typeof query === 'string' ? new URLSearchParams(query) : query;
+        let t;
+        try {
+            t = JSON.parse(params.get(Handoff.PARAM));
+        } catch (e) {
+            return null;
+        }
+        const int = v => Number.isInteger(v) && v >= 0;
+        if (!t || typeof t !== 'object' || t.v !== Handoff.VERSION || typeof t.id !== 'string') return null;
+        if (!int(t.level) || !(t.seed === null || int(t.seed))) return null;
+        if (!(t.daily === null || typeof t.daily === 'string')) return null;
+        if (!(t.record === null || t.record >= 0) || !(Number.isInteger(t.severity) && t.severity >= 1)) return null;
+        if (t.outcome !== undefined) {
+            const o = t.outcome;
+            if (!o || typeof o !== 'object' || typeof o.won !== 'boolean' || !(o.time >= 0) ||
+                !int(o.stagesCleared) || !int(o.stages) || !int(o.misses)) return null;
+        }
+        return t;
+    },
+
+    /* One-time trajectory hint earned by a challenge run: the first tier
+       (CONFIG.handoff.reward) whose time the run beats. Misses add time,
+       and a higher severity stretches the limits. null if the run was lost */
+    reward(outcome, severity = 1) {
+        if (!outcome || !outcome.won) return null;
+        const { tiers, missCost } = CONFIG.handoff.reward;
+        const time = (outcome.time + outcome.misses * missCost) / Math.max(1, severity);
+        const tier = tiers.find(t => time <= t.time);
+        return tier ? { bounces: tier.bounces, time: Math.round(time * 10) / 10 } : null;
+    }
+};
@@ -0,0 +1,124 @@
+/* ============================================================================
+   HintSystem — reveals the par solution of the current layout step by step
+   The solver's angle sweep (game.solution, see solver.js) already knows a
+   winning emission angle and its path. Each hint gives away a bit more:
+   1..n  the launch sector holding that angle, one CONFIG.hints.sectors
+         width per step, each inside the last (aligned to the circle, so
+         it never centers on the answer)
+   n+1   the first bounce point of the par path
+   n+2   the full par path
+   Hints make the clear assisted. Levels without a par (several emitters,
+   placement puzzles, fixed angles) get the aim preview instead. The
+   failure policy's hint mode asks for the next hint (failure.js); the
+   number used is kept per level in levelRecords (fewest of any clear).
+============================================================================ */
+
+class HintSystem {
+    constructor(game) {
+        this.game = game;
+        this.level = 0;                 // Hints revealed on this layout
+
+        this.ui = {
+            button: document.getElementById('hint-btn')
+        };
+    }
+
+    // Sector steps + first bounce + full path
+    get steps() {
+        return CONFIG.hints.sectors.length + 2;
+    }
+
+    // Par solution the hints reveal (null on levels without one)
+    get solution() {
+        const s = this.game.solution;
+        return s && s.found ? s : null;
+    }
+
+    /* New layout */
+    reset() {
+        this.level = 0;
+        this.updateUi();
+    }
+
+    /* Reveal the next step */
+    next() {
+        const g = this.game;
+        if (!this.solution) {
+            if (!g.settings.preview) g.togglePreview();
+            return;
+        }
+        if (this.level >= this.steps) return;
+        this.level++;
+        g.markAssisted();
+        this.updateUi();
+        g.saveProgress();
+    }
+
+    // Suspend / resume (PhotonGame.snapshot)
+    restore(level = 0) {
+        this.level = Math.min(level, this.steps);
+        this.updateUi();
+    }
+
+    /* Launch sector { from, to } (radians) of the narrowest hint revealed,
+       or null before the first one. Every width divides the one before it,
+       so the circle-aligned cells nest: each hint is a full-width part of
+       the last one */
+    sector() {
+        const sectors = CONFIG.hints.sectors;
+        if (!this.level || !this.solution) return null;
+        const width = sectors[Math.min(this.level, sectors.length) - 1] * Math.PI / 180;
+        const turn = Math.PI * 2;
+        const angle = ((this.solution.angle % turn) + turn) % turn;
+        const from = Math.floor(angle / width) * width;
+        return { from, to: from + width };
+    }
+
+    /* --------------------------------------------------------------------------
+       HUD + drawing
+    -------------------------------------------------------------------------- */
+    updateUi() {
+        this.ui.button.innerText = this.level ? `Hint ${this.level}/${this.steps}` : 'Hint';
+        this.ui.button.classList.toggle('active', this.level > 0);
+    }
+
+    draw(ctx) {
+        const solution = this.solution;
+        const sector = this.sector();
+        if (!sector) return;
+        const sectors = CONFIG.hints.sectors.length;
+        const em = this.game.emitters[0];
+        const { width, height } = this.game.world;
+
+        ctx.save();
+
+        // Launch sector — a wedge from the emitter to past the playfield
+        ctx.beginPath();
+        ctx.moveTo(em.x, em.y);
+        ctx.arc(em.x, em.y, Math.hypot(width, height), sector.from, sector.to);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(120,255,160,0.12)';
+        ctx.fill();
+
+        // First bounce point
+        if (this.level > sectors) {
+            const p = solution.path[1];
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 10, 0, Math.PI * 2);
+            ctx.strokeStyle = 'rgba(120,255,160,0.9)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+
+        // Full par path, dashed
+        if (this.level > sectors + 1) {
+            ctx.beginPath();
+            Optics.tracePath(ctx, solution.path);
+            ctx.setLineDash([10, 8]);
+            ctx.strokeStyle = 'rgba(120,255,160,0.55)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
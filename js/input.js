@@ -0,0 +1,140 @@
+/* ============================================================================
+   AimController — precision aiming for PhotonGame
+   - Mouse / touch aim until the angle is locked
+   - Keyboard: ←/→ coarse step, Shift+←/→ fine step (locks the angle),
+     L lock/unlock, Space/Enter fire, R repeat last shot, Q/E repeat it −δ/+δ
+   - Gamepad: left stick sweeps (speed follows deflection), D-pad coarse
+     steps, LB/RB fine steps, A fire, X lock, Y repeat, LT/RT repeat −δ/+δ
+   Angles are in degrees, 0° = +x, clockwise (canvas y points down).
+============================================================================ */
+
+class AimController {
+    constructor(game) {
+        this.game = game;
+        this.locked = false;
+        this.angle = 0;                 // Locked angle (degrees)
+        this.pad = [];                  // Gamepad buttons held last frame
+        this.ui = {
+            angle: document.getElementById('angle-txt'),
+            lock: document.getElementById('angle-lock')
+        };
+        this.bindEvents();
+    }
+
+    /* --------------------------------------------------------------------------
+       Current aim
+    -------------------------------------------------------------------------- */
+
+    // Degrees toward the cursor, the locked angle, or the level's fixed emitter angle
+    getAngle() {
+        if (this.game.fixedAngle !== null) return this.game.fixedAngle;
+        if (this.locked) return this.angle;
+        const g = this.game;
+        const d = Vec2.sub(g.mouse, g.emitter);
+        return Vec2.mag(d) === 0 ? 0 : AimController.wrap(Math.atan2(d.y, d.x) * 180 / Math.PI);
+    }
+
+    getDirection() {
+        const rad = this.getAngle() * Math.PI / 180;
+        return { x: Math.cos(rad), y: Math.sin(rad) };
+    }
+
+    static wrap(deg) {
+        return ((deg % 360) + 360) % 360;
+    }
+
+    /* --------------------------------------------------------------------------
+       Actions
+    -------------------------------------------------------------------------- */
+
+    // Lock at the current angle (or release back to the mouse)
+    setLocked(locked) {
+        if (locked && !this.locked) this.angle = this.getAngle();
+        this.locked = locked;
+        this.updateHud();
+    }
+
+    // Rotate by delta degrees; nudging always locks the angle
+    nudge(delta) {
+        this.setLocked(true);
+        this.angle = AimController.wrap(this.angle + delta);
+        this.updateHud();
+    }
+
+    fire() {
+        const g = this.game;
+        if (g.winPending || g.editor.active || g.failure.open) return;
+        g.shootRay();
+    }
+
+    // Re-fire the most recent shot's angle, offset by delta degrees
+    repeat(delta = 0) {
+        const last = this.game.history.find(h => h.angle !== undefined);
+        if (!last) return;
+        this.setLocked(true);
+        this.angle = AimController.wrap(last.angle + delta);
+        this.fire();
+    }
+
+    /* --------------------------------------------------------------------------
+       Keyboard
+    -------------------------------------------------------------------------- */
+    bindEvents() {
+        const { coarseStep, fineStep, repeatDelta } = CONFIG.aim;
+
+        window.addEventListener('keydown', e => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            const step = e.shiftKey ? fineStep : coarseStep;
+
+            switch (e.key) {
+                case 'ArrowLeft': this.nudge(-step); break;
+                case 'ArrowRight': this.nudge(step); break;
+                case 'l': case 'L': this.setLocked(!this.locked); break;
+                case ' ': case 'Enter': this.fire(); break;
+                case 'r': case 'R': this.repeat(); break;
+                case 'q': case 'Q': this.repeat(-repeatDelta); break;
+                case 'e': case 'E': this.repeat(repeatDelta); break;
+                default: return;
+            }
+            e.preventDefault();
+        });
+    }
+
+    /* --------------------------------------------------------------------------
+       Per-frame update (called from PhotonGame.animate)
+       Polls the first connected gamepad and refreshes the HUD readout
+    -------------------------------------------------------------------------- */
+    update(dt) {
+        const pad = navigator.getGamepads ? [...navigator.getGamepads()].find(p => p && p.connected) : null;
+        if (pad) this.pollGamepad(pad, dt);
+        this.updateHud();
+    }
+
+    pollGamepad(pad, dt) {
+        const { coarseStep, fineStep, repeatDelta, stickSpeed, deadzone } = CONFIG.aim;
+        const held = pad.buttons.map(b => b.pressed);
+        const pressed = i => held[i] && !this.pad[i];   // Rising edge only
+        this.pad = held;
+
+        // Analog sweep: squared deflection gives fine control near the center
+        const x = pad.axes[0] || 0;
+        if (Math.abs(x) > deadzone) this.nudge(Math.sign(x) * x * x * stickSpeed * Math.min(dt, 100) / 1000);
+
+        // Standard mapping: 0 A · 2 X · 3 Y · 4/5 LB/RB · 6/7 LT/RT · 14/15 D-pad ←/→
+        if (pressed(14)) this.nudge(-coarseStep);
+        if (pressed(15)) this.nudge(coarseStep);
+        if (pressed(4)) this.nudge(-fineStep);
+        if (pressed(5)) this.nudge(fineStep);
+        if (pressed(2)) this.setLocked(!this.locked);
+        if (pressed(0)) this.fire();
+        if (pressed(3)) this.repeat();
+        if (pressed(6)) this.repeat(-repeatDelta);
+        if (pressed(7)) this.repeat(repeatDelta);
+    }
+
+    updateHud() {
+        const text = this.getAngle().toFixed(2) + '°';
+        if (this.ui.angle.innerText !== text) this.ui.angle.innerText = text;
+        this.ui.lock.classList.toggle('on', this.locked);
+    }
+}
@@ -0,0 +1,287 @@
+/* ============================================================================
+   Inventory — player-placed pieces for puzzle levels
+   A level's `inventory` grants pieces (e.g. two mirrors, one glass block)
+   that the player drags onto the board and rotates before firing.
+   - Pick a piece from the tray, click to drop it
+   - Drag a placed piece to move it (a plain click picks it up)
+   - Wheel / Z X rotate the held piece (Shift = 1° steps)
+   - Esc puts a moved piece back, Delete returns it to the tray
+   Pieces may not cover an emitter or a target. Placed pieces live in
+   game.walls (flagged `piece`) so shots use the real tracer.
+   While a level has an inventory, canvas clicks handle pieces and the
+   beam is fired with Space / Enter or the Fire button.
+============================================================================ */
+
+class Inventory {
+    constructor(game) {
+        this.game = game;
+        this.slots = [];                // { type, count, length (world units), params }
+        this.held = null;               // { slot, center, angle, from, drag, offset }
+
+        this.ui = {
+            bar: document.getElementById('inventory-bar'),
+            items: document.getElementById('inventory-items')
+        };
+        this.bindEvents();
+    }
+
+    get active() {
+        return this.slots.length > 0;
+    }
+
+    /* --------------------------------------------------------------------------
+       Level data ↔ slots (lengths and length params relative to the
+       shorter playfield side, like element params)
+    -------------------------------------------------------------------------- */
+    load(spec = [], w, h) {
+        const unit = Math.min(w, h);
+        this.slots = spec.map(s => {
+            const params = {};
+            Object.entries(Elements.get(s.type).params).forEach(([key, p]) => {
+                if (s[key] !== undefined) params[key] = p.scale === 'length' ? s[key] * unit : s[key];
+            });
+            return { type: s.type, count: s.count || 1, length: (s.length || CONFIG.puzzle.pieceLength) * unit, params };
+        });
+        this.held = null;
+        this.ui.bar.classList.toggle('active', this.active);
+        this.render();
+    }
+
+    toSpec(w, h, round = v => v) {
+        const unit = Math.min(w, h);
+        return this.slots.map(slot => {
+            const spec = { type: slot.type, count: slot.count, length: round(slot.length / unit) };
+            Object.entries(Elements.get(slot.type).params).forEach(([key, p]) => {
+                if (slot.params[key] !== undefined) spec[key] = p.scale === 'length' ? round(slot.params[key] / unit) : slot.params[key];
+            });
+            return spec;
+        });
+    }
+
+    // Placed pieces as { slot, center, angle } — saved while the game is suspended
+    snapshot() {
+        return this.placed().map(wall => ({
+            slot: wall.piece.slot,
+            center: Vec2.mult(Vec2.add(wall.a, wall.b), 0.5),
+            angle: wall.piece.angle
+        }));
+    }
+
+    restore(pieces = []) {
+        pieces.forEach(({ slot, center, angle }) => {
+            if (!this.slots[slot] || this.remaining(slot) <= 0) return;
+            const { a, b } = this.ends(this.slots[slot], center, angle);
+            this.place(slot, a, b, angle);
+        });
+        this.changed();
+    }
+
+    /* --------------------------------------------------------------------------
+       Bookkeeping
+    -------------------------------------------------------------------------- */
+    placed() {
+        return this.game.walls.filter(wall => wall.piece);
+    }
+
+    // Pieces on the board (what scoring charges for)
+    used() {
+        return this.placed().length;
+    }
+
+    remaining(i) {
+        const out = this.placed().filter(wall => wall.piece.slot === i).length;
+        return this.slots[i].count - out - (this.held && this.held.slot === i ? 1 : 0);
+    }
+
+    // Endpoints of a piece centered at `center`, rotated `angle` degrees
+    ends(slot, center, angle) {
+        const rad = angle * Math.PI / 180;
+        const half = { x: Math.cos(rad) * slot.length / 2, y: Math.sin(rad) * slot.length / 2 };
+        return { a: Vec2.sub(center, half), b: Vec2.add(center, half) };
+    }
+
+    // Clearance rings pieces must stay out of: every emitter and target
+    keepOut() {
+        const g = this.game;
+        return [
+            ...g.emitters.map(p => ({ p, r: CONFIG.puzzle.clearance })),
+            ...g.targets.map(p => ({ p, r: p.r + CONFIG.puzzle.clearance }))
+        ];
+    }
+
+    // On the board and clear of the emitters and targets
+    isValid(a, b) {
+        const { width: w, height: h } = this.game.world;
+        const inside = p => p.x >= 0 && p.x <= w && p.y >= 0 && p.y <= h;
+        return inside(a) && inside(b) && this.keepOut().every(({ p, r }) => Optics.segmentPointDistance(a, b, p) >= r);
+    }
+
+    // Layout changed — re-index walls and drop the cached aim preview
+    changed() {
+        this.game.indexWalls();
+        this.game.preview = null;
+        this.render();
+    }
+
+    /* --------------------------------------------------------------------------
+       Actions
+    -------------------------------------------------------------------------- */
+    pick(i) {
+        if (this.held) this.cancel();
+        if (this.remaining(i) <= 0) return;
+        this.held = { slot: i, center: { ...this.game.mouse }, angle: 45, from: null, drag: null, offset: { x: 0, y: 0 } };
+        this.render();
+    }
+
+    // Place the held piece; returns false (still held) when the spot is invalid
+    drop() {
+        const held = this.held;
+        const { a, b } = this.ends(this.slots[held.slot], held.center, held.angle);
+        if (!this.isValid(a, b)) return false;
+
+        this.place(held.slot, a, b, held.angle);
+        this.held = null;
+        this.changed();
+        return true;
+    }
+
+    // Put a piece of slot i on the board between a and b
+    place(i, a, b, angle) {
+        const slot = this.slots[i];
+        const wall = Elements.create(slot.type, a, b, slot.params);
+        wall.piece = { slot: i, angle };
+        this.game.walls.push(wall);
+    }
+
+    pickUp(wall) {
+        const center = Vec2.mult(Vec2.add(wall.a, wall.b), 0.5);
+        this.game.walls.splice(this.game.walls.indexOf(wall), 1);
+        this.held = {
+            slot: wall.piece.slot,
+            center,
+            angle: wall.piece.angle,
+            from: wall,
+            drag: { ...this.game.mouse },
+            offset: Vec2.sub(center, this.game.mouse)    // Keep the grab point under the cursor
+        };
+        this.changed();
+    }
+
+    // Put a moved piece back where it was (new pieces go back to the tray)
+    cancel() {
+        if (!this.held) return;
+        if (this.held.from) this.game.walls.push(this.held.from);
+        this.held = null;
+        this.changed();
+    }
+
+    returnToTray() {
+        if (!this.held) return;
+        this.held = null;
+        this.changed();
+    }
+
+    rotate(deg) {
+        if (this.held) this.held.angle = AimController.wrap(this.held.angle + deg);
+    }
+
+    /* --------------------------------------------------------------------------
+       Input
+    -------------------------------------------------------------------------- */
+    bindEvents() {
+        const canvas = this.game.canvas;
+        const enabled = () => this.active && !this.game.editor.active && !this.game.failure.open && !this.game.winPending;
+
+        canvas.addEventListener('mousedown', e => {
+            if (!enabled()) return;
+            e.preventDefault();
+            if (this.held) {
+                this.drop();
+                return;
+            }
+
+            const m = this.game.mouse;
+            const wall = this.placed().find(w => Optics.segmentPointDistance(w.a, w.b, m) < 8);
+            if (wall) this.pickUp(wall);
+        });
+
+        window.addEventListener('mousemove', () => {
+            if (this.held) this.held.center = Vec2.add(this.game.mouse, this.held.offset);
+        });
+
+        // Releasing after a drag drops the piece; a plain click keeps holding it
+        window.addEventListener('mouseup', () => {
+            if (!this.held || !this.held.drag) return;
+            const moved = Vec2.dist(this.held.drag, this.game.mouse) > 3;
+            this.held.drag = null;
+            if (moved) this.drop();
+        });
+
+        canvas.addEventListener('wheel', e => {
+            if (!enabled() || !this.held) return;
+            e.preventDefault();
+            this.rotate(Math.sign(e.deltaY) * (e.shiftKey ? 1 : CONFIG.puzzle.rotateStep));
+        }, { passive: false });
+
+        window.addEventListener('keydown', e => {
+            if (!enabled() || !this.held) return;
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            const step = e.shiftKey ? 1 : CONFIG.puzzle.rotateStep;
+            if (e.key === 'z' || e.key === 'Z') this.rotate(-step);
+            else if (e.key === 'x' || e.key === 'X') this.rotate(step);
+            else if (e.key === 'Escape') this.cancel();
+            else if (e.key === 'Delete' || e.key === 'Backspace') this.returnToTray();
+        });
+    }
+
+    // Tray buttons: one per slot with the pieces left
+    render() {
+        this.ui.items.innerHTML = '';
+        this.slots.forEach((slot, i) => {
+            const btn = document.createElement('button');
+            btn.textContent = `${slot.type} ×${this.remaining(i)}`;
+            btn.disabled = this.remaining(i) <= 0;
+            btn.classList.toggle('on', !!this.held && this.held.slot === i);
+            btn.onclick = () => this.pick(i);
+            this.ui.items.appendChild(btn);
+        });
+    }
+
+    /* --------------------------------------------------------------------------
+       Overlay rendering (called from PhotonGame.animate)
+    -------------------------------------------------------------------------- */
+    draw(ctx) {
+        if (!this.active || this.game.editor.active) return;
+
+        // Handles mark the pieces that can be moved
+        ctx.fillStyle = 'rgba(255,255,255,0.6)';
+        this.placed().forEach(wall => [wall.a, wall.b].forEach(p => ctx.fillRect(p.x - 2, p.y - 2, 4, 4)));
+
+        if (!this.held) return;
+        const slot = this.slots[this.held.slot];
+        const { a, b } = this.ends(slot, this.held.center, this.held.angle);
+        const ghost = Elements.create(slot.type, a, b, slot.params);
+
+        ctx.save();
+        ctx.globalAlpha = 0.6;
+        Elements.draw(ctx, ghost);
+        ctx.restore();
+
+        // Invalid spot: red segment plus the clearance rings it violates
+        if (!this.isValid(a, b)) {
+            ctx.strokeStyle = 'rgba(255,60,60,0.8)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+            this.keepOut().forEach(({ p, r }) => {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+                ctx.stroke();
+            });
+            ctx.setLineDash([]);
+        }
+    }
+}
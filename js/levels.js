@@ -0,0 +1,396 @@
+/* ======================================================================
+   Level Format — versioned JSON levels + level packs
+   Coordinates are normalized (0..1) to the playfield. The playfield border
+   mirrors are implicit and never stored.
+
+   Level:  { format:"photon-maze-level", version:1, name,
+             emitter:{x,y,angle?} | emitters:[...],
+             target:{x,y,r?,color?,minPower?} | targets:[...], maxBounces?,
+             checkpoints?:[{x,y,r?}], forbidden?:[{x,y,r?}], failureThreshold?,
+             par?, attemptBudget?,
+             walls:[{x1,y1,x2,y2,type, ...element params, motion?}],
+             inventory?:[{type, count?, length?, ...element params}] }
+   Pack:   { format:"photon-maze-pack", version:1, name, levels:[...] }
+
+   target.r is optional and relative to the shorter playfield side;
+   levels without it use the classic 15-unit target. target.color names a
+   spectrum band (config.js) that must reach it — see dispersive walls.
+   target.minPower (0..1] is the share of beam intensity that must arrive
+   once glass has split the beam (Fresnel partial reflection); it defaults
+   to CONFIG.beam.targetPower for white-light targets and to any light for
+   colored ones.
+   Wall types and their extra parameters come from the element registry
+   (elements.js), e.g. { type:"converging", focal:0.2 } or a pair of
+   { type:"portal", link:"A" } walls. Any wall may add a `motion`
+   (motion.js), e.g. { type:"rotate", speed:30 } or
+   { type:"toggle", on:2, off:1 }, to move over time.
+   An inventory turns the level into a placement puzzle (inventory.js):
+   the player places those pieces (length relative to the shorter side)
+   and emitter.angle, in degrees, optionally fixes the beam direction.
+   Several emitters fire in sequence, one per shot, and every target must
+   be lit within one round. Checkpoints (r like target.r) must be crossed
+   in the listed order before a beam counts at a target; touching a
+   forbidden node fails the round. Normalized levels always carry the
+   `emitters` / `targets` arrays. failureThreshold overrides how many
+   failed rounds trigger the failure policy (failure.js; 0 = never).
+   par (a path length in world units, config.js) replaces the solver's
+   optimum as the length a clear is rated against, and attemptBudget the
+   shots a clear may take before losing points (scoring.js).
+====================================================================== */
+
+/* Thrown when a level or pack fails validation — `errors` lists every problem */
+class LevelFormatError extends Error {
+    constructor(errors) {
+        super(`Invalid level data:\n- ${errors.join('\n- ')}`);
+        this.name = 'LevelFormatError';
+        this.errors = errors;
+    }
+}
+
+const LevelFormat = {
+    LEVEL: 'photon-maze-level',
+    PACK: 'photon-maze-pack',
+    VERSION: 1,
+    // Every registered optical element is a valid wall type
+    get wallTypes() {
+        return Object.keys(Elements.types);
+    },
+
+    /* --------------------------------------------------------------------------
+       Validation — returns a list of readable errors (empty when valid)
+    -------------------------------------------------------------------------- */
+    validateLevel(data, where = 'level') {
+        const errors = [];
+        const isObj = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+        const unit = (v, path) => {
+            if (typeof v !== 'number' || !isFinite(v)) errors.push(`${path}: must be a number`);
+            else if (v < 0 || v > 1) errors.push(`${path}: ${v} is out of range (expected 0..1)`);
+        };
+        const point = (p, path) => {
+            if (!isObj(p)) return errors.push(`${path}: missing`);
+            unit(p.x, `${path}.x`);
+            unit(p.y, `${path}.y`);
+        };
+        // Element parameters of a wall or inventory piece
+        const params = (wl, path) => Object.entries(Elements.get(wl.type).params).forEach(([key, p]) => {
+            const v = wl[key];
+            if (v === undefined) return;
+            if (p.kind === 'number' && !(typeof v === 'number' && v >= p.min && v <= p.max))
+                errors.push(`${path}.${key}: must be a number between ${p.min} and ${p.max}`);
+            else if (p.kind === 'string' && (typeof v !== 'string' || !v))
+                errors.push(`${path}.${key}: must be a non-empty string`);
+            else if (p.kind === 'color' && !CONFIG.spectrum.some(b => b.name === v))
+                errors.push(`${path}.${key}: unknown color "${v}"`);
+        });
+
+        if (!isObj(data)) return [`${where}: must be an object`];
+        if (typeof data.name !== 'string' || !data.name) errors.push(`${where}.name: must be a non-empty string`);
+
+        // Circular node (target / checkpoint / forbidden) with an optional radius
+        const node = (n, path) => {
+            point(n, path);
+            if (isObj(n) && n.r !== undefined && !(n.r > 0 && n.r <= 0.5))
+                errors.push(`${path}.r: must be a number in (0, 0.5]`);
+        };
+        // Either the single `key` or a non-empty plural list of them
+        const oneOrMany = (key, plural, check) => {
+            if (data[key] !== undefined && data[plural] !== undefined)
+                return errors.push(`${where}: use either ${key} or ${plural}, not both`);
+            if (data[plural] === undefined) return check(data[key], `${where}.${key}`);
+            if (!Array.isArray(data[plural]) || !data[plural].length)
+                return errors.push(`${where}.${plural}: must be a non-empty array`);
+            data[plural].forEach((v, i) => check(v, `${where}.${plural}[${i}]`));
+        };
+        const nodeList = key => {
+            if (data[key] === undefined) return;
+            if (!Array.isArray(data[key])) errors.push(`${where}.${key}: must be an array`);
+            else data[key].forEach((n, i) => node(n, `${where}.${key}[${i}]`));
+        };
+
+        oneOrMany('emitter', 'emitters', (em, path) => {
+            point(em, path);
+            if (isObj(em) && em.angle !== undefined && !(typeof em.angle === 'number' && isFinite(em.angle)))
+                errors.push(`${path}.angle: must be a number (degrees)`);
+        });
+        oneOrMany('target', 'targets', (t, path) => {
+            node(t, path);
+            if (isObj(t) && t.color !== undefined && !CONFIG.spectrum.some(b => b.name === t.color))
+                errors.push(`${path}.color: unknown color "${t.color}" (expected ${CONFIG.spectrum.map(b => b.name).join(', ')})`);
+            if (isObj(t) && t.minPower !== undefined && !(t.minPower > 0 && t.minPower <= 1))
+                errors.push(`${path}.minPower: must be a number in (0, 1]`);
+        });
+        nodeList('checkpoints');
+        nodeList('forbidden');
+
+        if (data.maxBounces !== undefined && !(Number.isInteger(data.maxBounces) && data.maxBounces > 0))
+            errors.push(`${where}.maxBounces: must be a positive integer`);
+        if (data.failureThreshold !== undefined && !(Number.isInteger(data.failureThreshold) && data.failureThreshold >= 0))
+            errors.push(`${where}.failureThreshold: must be a non-negative integer`);
+        if (data.par !== undefined && !(typeof data.par === 'number' && isFinite(data.par) && data.par > 0))
+            errors.push(`${where}.par: must be a positive number`);
+        if (data.attemptBudget !== undefined && !(Number.isInteger(data.attemptBudget) && data.attemptBudget > 0))
+            errors.push(`${where}.attemptBudget: must be a positive integer`);
+
+        if (!Array.isArray(data.walls)) errors.push(`${where}.walls: must be an array`);
+        else data.walls.forEach((wl, i) => {
+            const path = `${where}.walls[${i}]`;
+            if (!isObj(wl)) return errors.push(`${path}: must be an object`);
+            ['x1', 'y1', 'x2', 'y2'].forEach(k => unit(wl[k], `${path}.${k}`));
+            if (!LevelFormat.wallTypes.includes(wl.type))
+                return errors.push(`${path}.type: unknown wall type "${wl.type}" (expected ${LevelFormat.wallTypes.join(', ')})`);
+
+            params(wl, path);
+            if (wl.motion !== undefined) errors.push(...Motion.validate(wl.motion, `${path}.motion`));
+        });
+
+        if (data.inventory !== undefined) {
+            if (!Array.isArray(data.inventory)) errors.push(`${where}.inventory: must be an array`);
+            else data.inventory.forEach((piece, i) => {
+                const path = `${where}.inventory[${i}]`;
+                if (!isObj(piece)) return errors.push(`${path}: must be an object`);
+                if (!LevelFormat.wallTypes.includes(piece.type))
+                    return errors.push(`${path}.type: unknown wall type "${piece.type}"`);
+                if (piece.type === 'portal') errors.push(`${path}.type: portals can't be placed as pieces`);
+                if (piece.count !== undefined && !(Number.isInteger(piece.count) && piece.count > 0))
+                    errors.push(`${path}.count: must be a positive integer`);
+                if (piece.length !== undefined && !(piece.length > 0 && piece.length <= 1))
+                    errors.push(`${path}.length: must be a number in (0, 1]`);
+                params(piece, path);
+            });
+        }
+
+        // Portals only work in pairs
+        if (Array.isArray(data.walls)) {
+            const links = {};
+            data.walls.forEach(wl => {
+                if (isObj(wl) && wl.type === 'portal') {
+                    const link = wl.link === undefined ? Elements.get('portal').params.link.default : wl.link;
+                    links[link] = (links[link] || 0) + 1;
+                }
+            });
+            Object.entries(links).forEach(([link, n]) => {
+                if (n !== 2) errors.push(`${where}.walls: portal link "${link}" has ${n} portal(s) (expected exactly 2)`);
+            });
+        }
+
+        return errors;
+    },
+
+    /* Checks the format/version header shared by levels and packs */
+    validateHeader(data, format, where) {
+        if (data === null || typeof data !== 'object') return [`${where}: must be an object`];
+        if (data.format !== format) return [`${where}.format: expected "${format}", got "${data.format}"`];
+        if (!Number.isInteger(data.version) || data.version < 1) return [`${where}.version: must be a positive integer`];
+        if (data.version > LevelFormat.VERSION)
+            return [`${where}.version: ${data.version} is newer than supported version ${LevelFormat.VERSION}`];
+        return [];
+    },
+
+    /* --------------------------------------------------------------------------
+       Parsing — accepts a level or a pack (object or JSON text) and always
+       returns a pack: { name, levels:[...] }. Throws LevelFormatError.
+    -------------------------------------------------------------------------- */
+    parse(input) {
+        let data = input;
+        if (typeof input === 'string') {
+            try { data = JSON.parse(input); }
+            catch (e) { throw new LevelFormatError([`not valid JSON (${e.message})`]); }
+        }
+
+        if (data && data.format === LevelFormat.LEVEL) {
+            const level = LevelFormat.parseLevel(data);
+            return { name: level.name, levels: [level] };
+        }
+
+        let errors = LevelFormat.validateHeader(data, LevelFormat.PACK, 'pack');
+        if (!errors.length) {
+            if (!Array.isArray(data.levels) || !data.levels.length) errors.push('pack.levels: must be a non-empty array');
+            else data.levels.forEach((L, i) => errors = errors.concat(LevelFormat.validateLevel(L, `pack.levels[${i}]`)));
+        }
+        if (errors.length) throw new LevelFormatError(errors);
+
+        return { name: data.name || 'Untitled pack', levels: data.levels.map(LevelFormat.normalize) };
+    },
+
+    /* Validate a single standalone level file */
+    parseLevel(data) {
+        let errors = LevelFormat.validateHeader(data, LevelFormat.LEVEL, 'level');
+        if (!errors.length) errors = LevelFormat.validateLevel(data);
+        if (errors.length) throw new LevelFormatError(errors);
+        return LevelFormat.normalize(data);
+    },
+
+    /* Strip headers / unknown keys down to what the game consumes */
+    normalize(L) {
+        const pick = (src, keys) => {
+            const out = {};
+            keys.forEach(key => { if (src[key] !== undefined) out[key] = src[key]; });
+            return out;
+        };
+        const level = {
+            name: L.name,
+            emitters: (L.emitters || [L.emitter]).map(em => pick(em, ['x', 'y', 'angle'])),
+            targets: (L.targets || [L.target]).map(t => pick(t, ['x', 'y', 'r', 'color', 'minPower'])),
+            walls: L.walls.map(wl => {
+                const wall = { x1: wl.x1, y1: wl.y1, x2: wl.x2, y2: wl.y2, type: wl.type };
+                Object.keys(Elements.get(wl.type).params).forEach(key => {
+                    if (wl[key] !== undefined) wall[key] = wl[key];
+                });
+                if (wl.motion) wall.motion = JSON.parse(JSON.stringify(wl.motion));
+                return wall;
+            })
+        };
+        if (L.maxBounces !== undefined) level.maxBounces = L.maxBounces;
+        if (L.failureThreshold !== undefined) level.failureThreshold = L.failureThreshold;
+        if (L.par !== undefined) level.par = L.par;
+        if (L.attemptBudget !== undefined) level.attemptBudget = L.attemptBudget;
+        if (L.checkpoints) level.checkpoints = L.checkpoints.map(n => pick(n, ['x', 'y', 'r']));
+        if (L.forbidden) level.forbidden = L.forbidden.map(n => pick(n, ['x', 'y', 'r']));
+        if (L.inventory) level.inventory = L.inventory.map(piece => {
+            const out = { type: piece.type };
+            ['count', 'length', ...Object.keys(Elements.get(piece.type).params)].forEach(key => {
+                if (piece[key] !== undefined) out[key] = piece[key];
+            });
+            return out;
+        });
+        return level;
+    },
+
+    /* Wrap a level object with the format header for saving */
+    toLevelFile(level) {
+        return { format: LevelFormat.LEVEL, version: LevelFormat.VERSION, ...level };
+    },
+
+    toPackFile(name, levels) {
+        return { format: LevelFormat.PACK, version: LevelFormat.VERSION, name, levels };
+    }
+};
+
+/* ======================================================================
+   Level Packs — built-in campaign + loaders for external packs
+====================================================================== */
+const LevelPacks = {
+    campaign: LevelFormat.toPackFile('Campaign', [
+
+        // ===== Level 1: Reflection bounce puzzle =====
+        {
+            name: "RICOCHET",
+            emitter: { x: 0.1, y: 0.5 },
+            target: { x: 0.9, y: 0.5 },
+            walls: [
+                { x1: 0.5, y1: 0.4, x2: 0.5, y2: 0.6, type: 'mirror' },
+                { x1: 0.3, y1: 0.1, x2: 0.7, y2: 0.1, type: 'mirror' },
+                { x1: 0.3, y1: 0.9, x2: 0.7, y2: 0.9, type: 'mirror' },
+            ]
+        },
+
+        // ===== Level 2: Refraction through a glass square =====
+        {
+            name: "REFRACTION",
+            emitter: { x: 0.1, y: 0.5 },
+            target: { x: 0.9, y: 0.4 },
+            walls: [
+                { x1: 0.4, y1: 0.2, x2: 0.6, y2: 0.2, type: 'glass' },
+                { x1: 0.6, y1: 0.2, x2: 0.6, y2: 0.8, type: 'glass' },
+                { x1: 0.6, y1: 0.8, x2: 0.4, y2: 0.8, type: 'glass' },
+                { x1: 0.4, y1: 0.8, x2: 0.4, y2: 0.2, type: 'glass' },
+                { x1: 0.8, y1: 0.5, x2: 0.8, y2: 1.0, type: 'mirror' }
+            ]
+        },
+
+        // ===== Level 3: Triangle prism =====
+        {
+            name: "PRISM",
+            emitter: { x: 0.1, y: 0.8 },
+            target: { x: 0.9, y: 0.2 },
+            walls: [
+                { x1: 0.3, y1: 0.3, x2: 0.7, y2: 0.3, type: 'glass' },
+                { x1: 0.7, y1: 0.3, x2: 0.5, y2: 0.7, type: 'glass' },
+                { x1: 0.5, y1: 0.7, x2: 0.3, y2: 0.3, type: 'glass' }
+            ]
+        },
+
+        // ===== Level 4: Dispersive prism — only red light counts =====
+        {
+            name: "SPECTRUM",
+            emitter: { x: 0.1, y: 0.5 },
+            target: { x: 0.85, y: 0.75, color: 'red' },
+            walls: [
+                { x1: 0.4, y1: 0.3, x2: 0.55, y2: 0.7, type: 'dispersive' },
+                { x1: 0.55, y1: 0.7, x2: 0.25, y2: 0.7, type: 'dispersive' },
+                { x1: 0.25, y1: 0.7, x2: 0.4, y2: 0.3, type: 'dispersive' },
+                { x1: 0.7, y1: 0.85, x2: 0.95, y2: 0.85, type: 'absorb' }
+            ]
+        },
+
+        // ===== Level 5: Portal, lens, filter and curved mirror =====
+        {
+            name: "OPTICS LAB",
+            emitter: { x: 0.1, y: 0.5 },
+            target: { x: 0.87, y: 0.25, color: 'green' },
+            walls: [
+                { x1: 0.5, y1: 0, x2: 0.5, y2: 1, type: 'absorb' },
+                { x1: 0.35, y1: 0.15, x2: 0.35, y2: 0.35, type: 'portal', link: 'A' },
+                { x1: 0.62, y1: 0.85, x2: 0.62, y2: 0.65, type: 'portal', link: 'A' },
+                { x1: 0.72, y1: 0.05, x2: 0.72, y2: 0.45, type: 'converging', focal: 0.15 },
+                { x1: 0.78, y1: 0.5, x2: 0.78, y2: 1, type: 'filter', color: 'green' },
+                { x1: 0.93, y1: 0.55, x2: 0.93, y2: 0.95, type: 'concave', bulge: 0.2 }
+            ]
+        },
+
+        // ===== Level 6: Timing — a gate that opens and closes =====
+        {
+            name: "TIMING",
+            emitter: { x: 0.1, y: 0.2 },
+            target: { x: 0.9, y: 0.8 },
+            walls: [
+                { x1: 0.5, y1: 0, x2: 0.5, y2: 0.4, type: 'absorb' },
+                { x1: 0.5, y1: 0.6, x2: 0.5, y2: 1, type: 'absorb' },
+                { x1: 0.5, y1: 0.4, x2: 0.5, y2: 0.6, type: 'absorb', motion: { type: 'toggle', on: 1.5, off: 1.5, phase: 1.5 } },
+                { x1: 0.75, y1: 0.3, x2: 0.75, y2: 0.95, type: 'absorb' },
+                { x1: 0.6, y1: 0.5, x2: 0.7, y2: 0.5, type: 'mirror', motion: { type: 'rotate', speed: 40 } },
+                { x1: 0.85, y1: 0.15, x2: 0.95, y2: 0.15, type: 'mirror', motion: { type: 'slide', dx: -0.15, period: 5 } }
+            ]
+        },
+
+        // ===== Level 7: Workshop — place your own mirrors =====
+        {
+            name: "WORKSHOP",
+            emitter: { x: 0.1, y: 0.85, angle: 0 },
+            target: { x: 0.85, y: 0.2 },
+            walls: [
+                { x1: 0.6, y1: 0.35, x2: 0.6, y2: 1, type: 'absorb' },
+                { x1: 0.6, y1: 0.35, x2: 1, y2: 0.35, type: 'absorb' }
+            ],
+            inventory: [
+                { type: 'mirror', count: 2 },
+                { type: 'glass', count: 1, length: 0.08 }
+            ]
+        },
+
+        // ===== Level 8: Relay — two emitters, two targets, one crossing =====
+        {
+            name: "RELAY",
+            emitters: [{ x: 0.1, y: 0.15 }, { x: 0.1, y: 0.85 }],
+            targets: [{ x: 0.9, y: 0.15 }, { x: 0.9, y: 0.85 }],
+            checkpoints: [{ x: 0.5, y: 0.5, r: 0.04 }],
+            forbidden: [{ x: 0.5, y: 0.15, r: 0.04 }, { x: 0.5, y: 0.85, r: 0.04 }],
+            walls: [
+                { x1: 0.3, y1: 0.35, x2: 0.3, y2: 0.65, type: 'absorb' },
+                { x1: 0.7, y1: 0.35, x2: 0.7, y2: 0.65, type: 'absorb' }
+            ]
+        }
+    ]),
+
+    /* Fetch a pack (or single level) from a URL-relative path */
+    async load(url) {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`Could not load level pack "${url}" (HTTP ${res.status})`);
+        return LevelFormat.parse(await res.text());
+    },
+
+    /* Read a pack (or single level) from a local File (e.g. <input type=file>) */
+    async loadFile(file) {
+        return LevelFormat.parse(await file.text());
+    }
+};
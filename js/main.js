@@ -1,15 +1,34 @@
 // Main launcher for Photon Maze
-// Handles session resume (return from button punishment)
+// Handles the return from the button challenge (?handoff=ticket, see handoff.js)
+// and shared links (?level=N&seed=CODE rebuild the exact same maze)
+// ?pack=path/to/pack.json replaces the campaign with an external level pack
+// ?daily (today) or ?daily=YYYY-MM-DD opens the daily challenge
 
 const game = new PhotonGame();
 
-window.addEventListener("load", () => {
+window.addEventListener("load", async () => {
     const query = new URLSearchParams(window.location.search);
 
-    // Returned from punishment mode → reset death count only
-    if(query.get("resume") === "true"){
-        game.attempts = 0;
-        document.getElementById("attempts-txt").innerText = "0";
+    if(query.get("pack")){
+        try { game.loadPack(await LevelPacks.load(query.get("pack"))); }
+        catch(err){ alert(err.message); }
+    }
+
+    // Shared layout → jump to the level and rebuild its maze from the seed
+    const level = parseInt(query.get("level"), 10);
+    if(level >= 1){
+        const seed = SeededRandom.fromCode(query.get("seed"));
+        game.loadLevel(level - 1, false, seed === null ? undefined : seed);
+    }
+
+    // Daily challenge link → today's (or the given date's) shared maze
+    if(query.has("daily")) game.startDaily(query.get("daily") || undefined);
+
+    // Returned from the button challenge → same puzzle, reward for the run
+    const ticket = Handoff.read(query);
+    if(ticket){
+        game.completeHandoff(ticket);
+        history.replaceState(null, "", window.location.pathname);   // Claim the ticket once
         console.log("Player resumed from button challenge.");
     }
 });
@@ -1,11 +1,40 @@
 /* ======================================================================
    Maze Generator
-   Depth-first backtracking maze builder.
-   Output: line walls that game.js converts into real obstacles.
+   Carves a cell grid with one of several algorithms, then turns the
+   remaining cell walls into line walls that game.js converts into real
+   obstacles. generate() returns both: { walls, grid }, where grid[r][c]
+   cells keep open/closed flags matching the final wall list.
+   rng: Math.random-compatible function (see SeededRandom) so the same
+   seed always rebuilds the same layout.
+
+   options: { algorithm, breakChance, materials, portalChance }
+     algorithm     backtracker (default) | prim | kruskal | eller |
+                   division | braid (backtracker without dead ends)
+     breakChance   share of carved-maze walls knocked out afterwards
+     materials     [type, weight] mix for the walls (absorb included)
+   curve(step) maps the n-th procedural maze to escalating options;
+   place(grid) picks emitter / target cells from the maze topology and
+   buildLevel(step, seed, w, h) assembles a whole solvable level.
 ====================================================================== */
 class MazeGenerator{
-static generate(cols,rows){
-    // Build cell grid
+// Element mix for maze walls: [type, weight] (types from elements.js)
+static materials=[
+    ['mirror',0.80],['glass',0.08],['oneway',0.04],['converging',0.02],
+    ['diverging',0.02],['concave',0.015],['convex',0.015],['filter',0.01]
+];
+static portalChance=0.5;   // chance a maze gets one linked portal pair
+static defaults={algorithm:'backtracker',breakChance:0.35};
+
+static pickType(rng,materials=MazeGenerator.materials){
+    let roll=rng()*materials.reduce((s,[,w])=>s+w,0);
+    for(const [type,w] of materials){ if((roll-=w)<0) return type; }
+    return 'mirror';
+}
+
+/* ----------------------------------------------------------------------
+   Cell grid helpers — every cell starts with all four walls
+---------------------------------------------------------------------- */
+static grid(cols,rows){
     let grid=[];
     for(let r=0;r<rows;r++){
         let row=[];
@@ -13,44 +42,344 @@ static generate(cols,rows){
             row.push({x:c,y:r,visited:false,walls:{top:true,right:true,bottom:true,left:true}});
         grid.push(row);
     }
+    return grid;
+}
+
+// In-bounds neighbors, always in top/right/bottom/left order
+static neighbors(grid,{x,y}){
+    let N=[];
+    if(y>0)N.push(grid[y-1][x]);
+    if(x<grid[0].length-1)N.push(grid[y][x+1]);
+    if(y<grid.length-1)N.push(grid[y+1][x]);
+    if(x>0)N.push(grid[y][x-1]);
+    return N;
+}
+
+// Set (open=false) or remove (open=true) the wall shared by two adjacent cells
+static setWall(a,b,open=true){
+    if(b.x>a.x)a.walls.right=b.walls.left=!open;
+    else if(b.x<a.x)a.walls.left=b.walls.right=!open;
+    else if(b.y>a.y)a.walls.bottom=b.walls.top=!open;
+    else a.walls.top=b.walls.bottom=!open;
+}
+
+static isOpen(a,b){
+    if(b.x>a.x)return !a.walls.right;
+    if(b.x<a.x)return !a.walls.left;
+    if(b.y>a.y)return !a.walls.bottom;
+    return !a.walls.top;
+}
+
+/* ----------------------------------------------------------------------
+   Carving algorithms — each turns a walled grid into a perfect maze
+   (division and braid excepted: they may leave loops)
+---------------------------------------------------------------------- */
+static algorithms={
+    // Depth-first backtracking: long winding corridors
+    backtracker(grid,rng){
+        let stack=[grid[0][0]];
+        stack[0].visited=true;
+        while(stack.length){
+            let cur=stack.at(-1);
+            let N=MazeGenerator.neighbors(grid,cur).filter(n=>!n.visited);
+            if(N.length){
+                let nxt=N[rng()*N.length|0];
+                MazeGenerator.setWall(cur,nxt);
+                nxt.visited=true; stack.push(nxt);
+            } else stack.pop();
+        }
+    },
+
+    // Randomized Prim: grows from one cell, many short dead ends
+    prim(grid,rng){
+        let start=grid[rng()*grid.length|0][rng()*grid[0].length|0],frontier=[];
+        const visit=cell=>{
+            cell.visited=true;
+            MazeGenerator.neighbors(grid,cell).forEach(n=>{ if(!n.visited&&!frontier.includes(n)) frontier.push(n); });
+        };
+        visit(start);
+        while(frontier.length){
+            let cell=frontier.splice(rng()*frontier.length|0,1)[0];
+            let N=MazeGenerator.neighbors(grid,cell).filter(n=>n.visited);
+            MazeGenerator.setWall(cell,N[rng()*N.length|0]);
+            visit(cell);
+        }
+    },
 
-    // DFS stack
-    let stack=[grid[0][0]];
-    stack[0].visited=true;
+    // Randomized Kruskal: joins random edges between disjoint sets
+    kruskal(grid,rng){
+        const cols=grid[0].length,parent=[];
+        const find=i=>parent[i]===i?i:(parent[i]=find(parent[i]));
+        let edges=[];
+        grid.forEach(row=>row.forEach(cell=>{
+            parent.push(cell.y*cols+cell.x);
+            if(cell.x<cols-1)edges.push([cell,grid[cell.y][cell.x+1]]);
+            if(cell.y<grid.length-1)edges.push([cell,grid[cell.y+1][cell.x]]);
+        }));
+        for(let i=edges.length-1;i>0;i--){ let j=rng()*(i+1)|0; [edges[i],edges[j]]=[edges[j],edges[i]]; }
+        edges.forEach(([a,b])=>{
+            let ra=find(a.y*cols+a.x),rb=find(b.y*cols+b.x);
+            if(ra!==rb){ parent[rb]=ra; MazeGenerator.setWall(a,b); }
+        });
+    },
 
-    while(stack.length){
-        let cur=stack.at(-1),{x,y}=cur;
-        let N=[]; // unvisited neighbors
+    // Eller: one row at a time, tracking which cells are already connected
+    eller(grid,rng){
+        const cols=grid[0].length,rows=grid.length;
+        let set=grid[0].map((c,i)=>i),next=cols;
+        for(let r=0;r<rows;r++){
+            // Join neighbors in different sets (always on the last row)
+            for(let c=0;c<cols-1;c++){
+                if(set[c]===set[c+1]||(r<rows-1&&rng()<0.5)) continue;
+                MazeGenerator.setWall(grid[r][c],grid[r][c+1]);
+                let old=set[c+1];
+                set=set.map(s=>s===old?set[c]:s);
+            }
+            if(r===rows-1) break;
 
-        if(y>0&&!grid[y-1][x].visited)N.push(grid[y-1][x]);
-        if(x<cols-1&&!grid[y][x+1].visited)N.push(grid[y][x+1]);
-        if(y<rows-1&&!grid[y+1][x].visited)N.push(grid[y+1][x]);
-        if(x>0&&!grid[y][x-1].visited)N.push(grid[y][x-1]);
+            // Every set continues downward at least once
+            let groups=new Map(),below=new Array(cols).fill(-1);
+            set.forEach((s,c)=>groups.set(s,(groups.get(s)||[]).concat(c)));
+            groups.forEach(cs=>{
+                let down=cs.filter(()=>rng()<0.5);
+                if(!down.length) down=[cs[rng()*cs.length|0]];
+                down.forEach(c=>{ MazeGenerator.setWall(grid[r][c],grid[r+1][c]); below[c]=set[c]; });
+            });
+            set=below.map(s=>s<0?next++:s);
+        }
+    },
 
-        if(N.length){
-            let nxt=N[Math.random()*N.length|0];
-            // Remove shared wall between current and next
-            if(nxt.x>cur.x)cur.walls.right=false,nxt.walls.left=false;
-            else if(nxt.x<cur.x)cur.walls.left=false,nxt.walls.right=false;
-            else if(nxt.y>cur.y)cur.walls.bottom=false,nxt.walls.top=false;
-            else cur.walls.top=false,nxt.walls.bottom=false;
+    // Recursive division: open field split by walls with one gap each
+    division(grid,rng){
+        grid.forEach(row=>row.forEach(cell=>
+            MazeGenerator.neighbors(grid,cell).forEach(n=>MazeGenerator.setWall(cell,n))));
+        let stack=[[0,0,grid[0].length,grid.length]];
+        while(stack.length){
+            let [x,y,w,h]=stack.pop();
+            if(w<2||h<2) continue;
+            let horizontal=w<h||(w===h&&rng()<0.5);
+            if(horizontal){
+                let k=1+(rng()*(h-1)|0),gap=x+(rng()*w|0);
+                for(let c=x;c<x+w;c++) if(c!==gap) MazeGenerator.setWall(grid[y+k-1][c],grid[y+k][c],false);
+                stack.push([x,y,w,k],[x,y+k,w,h-k]);
+            } else {
+                let k=1+(rng()*(w-1)|0),gap=y+(rng()*h|0);
+                for(let r=y;r<y+h;r++) if(r!==gap) MazeGenerator.setWall(grid[r][x+k-1],grid[r][x+k],false);
+                stack.push([x,y,k,h],[x+k,y,w-k,h]);
+            }
+        }
+    },
 
-            nxt.visited=true; stack.push(nxt);
-        } else stack.pop();
+    // Braided: backtracker, then every dead end is opened into a loop
+    braid(grid,rng){
+        MazeGenerator.algorithms.backtracker(grid,rng);
+        grid.forEach(row=>row.forEach(cell=>{
+            let N=MazeGenerator.neighbors(grid,cell);
+            if(N.filter(n=>MazeGenerator.isOpen(cell,n)).length!==1) return;
+            let closed=N.filter(n=>!MazeGenerator.isOpen(cell,n));
+            // Prefer joining another dead end so both disappear at once
+            let dead=closed.filter(n=>MazeGenerator.neighbors(grid,n).filter(m=>MazeGenerator.isOpen(n,m)).length===1);
+            let pool=dead.length?dead:closed;
+            MazeGenerator.setWall(cell,pool[rng()*pool.length|0]);
+        }));
     }
+};
+
+static generate(cols,rows,rng=Math.random,options={}){
+    const {algorithm,breakChance,materials=MazeGenerator.materials,portalChance=MazeGenerator.portalChance}=
+        {...MazeGenerator.defaults,...options};
+    const carve=MazeGenerator.algorithms[algorithm];
+    if(!carve) throw new Error(`Unknown maze algorithm "${algorithm}" (expected ${Object.keys(MazeGenerator.algorithms).join(', ')})`);
+
+    let grid=MazeGenerator.grid(cols,rows);
+    carve(grid,rng);
 
     // Convert grid walls into renderable lines
-    let walls=[],breakChance=0.35;
+    let walls=[];
     for(let r=0;r<rows;r++){
       for(let c=0;c<cols;c++){
         let cell=grid[r][c];
         // Right wall
-        if(c<cols-1 && cell.walls.right && Math.random()>breakChance)
-         walls.push({x1:(c+1)/cols,y1:r/rows,x2:(c+1)/cols,y2:(r+1)/rows,type:Math.random()>0.9?'glass':'mirror'});
+        if(c<cols-1 && cell.walls.right){
+         if(rng()>breakChance) walls.push({x1:(c+1)/cols,y1:r/rows,x2:(c+1)/cols,y2:(r+1)/rows,type:MazeGenerator.pickType(rng,materials)});
+         else MazeGenerator.setWall(cell,grid[r][c+1]);
+        }
         // Bottom wall
-        if(r<rows-1 && cell.walls.bottom && Math.random()>breakChance)
-         walls.push({x1:c/cols,y1:(r+1)/rows,x2:(c+1)/cols,y2:(r+1)/rows,type:Math.random()>0.9?'glass':'mirror'});
+        if(r<rows-1 && cell.walls.bottom){
+         if(rng()>breakChance) walls.push({x1:c/cols,y1:(r+1)/rows,x2:(c+1)/cols,y2:(r+1)/rows,type:MazeGenerator.pickType(rng,materials)});
+         else MazeGenerator.setWall(cell,grid[r+1][c]);
+        }
       }
     }
-    return walls;
+
+    // Randomize facing of one-sided elements, color the filters
+    walls.forEach(wl=>{
+        if(rng()<0.5) [wl.x1,wl.y1,wl.x2,wl.y2]=[wl.x2,wl.y2,wl.x1,wl.y1];
+        if(wl.type==='filter') wl.color=CONFIG.spectrum[rng()*CONFIG.spectrum.length|0].name;
+    });
+
+    // Occasionally turn two walls into a linked portal pair
+    if(walls.length>=2 && rng()<portalChance){
+        const i=rng()*walls.length|0;
+        let j=rng()*(walls.length-1)|0; if(j>=i) j++;
+        walls[i].type=walls[j].type='portal';
+        walls[i].link=walls[j].link='P';
+        delete walls[i].color; delete walls[j].color;
+    }
+    return {walls,grid};
+}
+
+// Re-open every inner cell wall that has no line wall left (after repairs)
+static syncGrid(grid,walls){
+    const rows=grid.length,cols=grid[0].length,key=(x,y,v)=>`${x},${y},${v}`;
+    const present=new Set(walls.map(wl=>wl.x1===wl.x2
+        ? key(Math.round(wl.x1*cols)-1,Math.round(Math.min(wl.y1,wl.y2)*rows),'v')
+        : key(Math.round(Math.min(wl.x1,wl.x2)*cols),Math.round(wl.y1*rows)-1,'h')));
+    grid.forEach(row=>row.forEach(cell=>{
+        const {x,y}=cell;
+        if(x<cols-1) MazeGenerator.setWall(cell,grid[y][x+1],!present.has(key(x,y,'v')));
+        if(y<rows-1) MazeGenerator.setWall(cell,grid[y+1][x],!present.has(key(x,y,'h')));
+    }));
+}
+
+/* ----------------------------------------------------------------------
+   Topology — breadth-first search over open cell walls
+   (portals and see-through walls count as closed)
+---------------------------------------------------------------------- */
+static bfs(grid,from){
+    const dist=new Map([[from,0]]),parent=new Map(),order=[from];
+    for(let i=0;i<order.length;i++){
+        const cur=order[i];
+        MazeGenerator.neighbors(grid,cur).forEach(n=>{
+            if(dist.has(n)||!MazeGenerator.isOpen(cur,n)) return;
+            dist.set(n,dist.get(cur)+1); parent.set(n,cur); order.push(n);
+        });
+    }
+    return {dist,parent,order};   // order: cells by increasing distance
+}
+
+// Direction changes along the BFS path to cell — each one costs the beam a bounce
+static turns(parent,cell){
+    let turns=0,prev=null;
+    for(let cur=cell;parent.has(cur);cur=parent.get(cur)){
+        const p=parent.get(cur),dir=`${cur.x-p.x},${cur.y-p.y}`;
+        if(prev!==null&&dir!==prev) turns++;
+        prev=dir;
+    }
+    return turns;
+}
+
+/* ----------------------------------------------------------------------
+   place — emitter / target cells far apart in graph distance
+   The emitter is the cell farthest from the top-left corner, the target
+   the farthest cell from the emitter whose path turns at least minTurns
+   times (the farthest cell overall when none does). Deterministic, so a
+   seed still rebuilds the same level.
+   Returns { emitter, target (cells), distance, turns, deadEnds, loops }
+---------------------------------------------------------------------- */
+static place(grid,{minTurns=0}={}){
+    const emitter=MazeGenerator.bfs(grid,grid[0][0]).order.at(-1);
+    const {dist,parent,order}=MazeGenerator.bfs(grid,emitter);
+    const target=order.filter(cell=>MazeGenerator.turns(parent,cell)>=minTurns).at(-1)||order.at(-1);
+
+    let deadEnds=0,edges=0;
+    grid.forEach(row=>row.forEach(cell=>{
+        const open=MazeGenerator.neighbors(grid,cell).filter(n=>MazeGenerator.isOpen(cell,n)).length;
+        if(open===1) deadEnds++;
+        edges+=open;
+    }));
+    return {
+        emitter,target,
+        distance:dist.get(target),
+        turns:MazeGenerator.turns(parent,target),
+        deadEnds,
+        loops:edges/2-order.length+1    // Extra passages beyond a spanning tree
+    };
+}
+
+/* ----------------------------------------------------------------------
+   Difficulty curve — size and options of the n-th procedural maze
+   (step 0 = first maze after the campaign). The first tiers keep the
+   classic backtracker sizes; later mazes grow, rotate algorithms, lose fewer walls, gain absorbers and
+   ask place() for more turns between emitter and target.
+---------------------------------------------------------------------- */
+static curve(step){
+    const C=CONFIG.maze,tier=Math.min(step,C.tiers.length-1),extra=Math.max(0,step-C.tiers.length+1);
+    let [cols,rows]=C.tiers[tier];
+    cols=Math.min(C.maxSize[0],cols+extra*C.growth[0]);
+    rows=Math.min(C.maxSize[1],rows+extra*C.growth[1]);
+    if(!extra) return {cols,rows,algorithm:'backtracker',breakChance:MazeGenerator.defaults.breakChance,minTurns:0};
+
+    const {start,decay,min}=C.breakChance;
+    return {
+        cols,rows,
+        minTurns:Math.min(C.minTurns.max,extra*C.minTurns.step),
+        algorithm:C.algorithms[(extra-1)%C.algorithms.length],
+        breakChance:Math.max(min,start-extra*decay),
+        materials:MazeGenerator.materials.concat([['absorb',Math.min(C.absorb.max,extra*C.absorb.step)]])
+    };
+}
+
+/* ----------------------------------------------------------------------
+   buildLevel — the step-th procedural level for a w×h world-unit playfield:
+   border mirrors + maze walls as runtime elements, placement and par.
+   PhotonGame and the daily challenge both build through here, so the
+   same step, seed and size always give the same level (headless too).
+---------------------------------------------------------------------- */
+static buildLevel(step,seed,w,h){
+    const {cols,rows,minTurns,...options}=MazeGenerator.curve(step);
+    const maxBounces=CONFIG.complexMaxBounces,cellW=w/cols,cellH=h/rows;
+    const border=[[0,0,w,0],[w,0,w,h],[w,h,0,h],[0,h,0,0]]
+        .map(([x1,y1,x2,y2])=>Elements.create('mirror',{x:x1,y:y1},{x:x2,y:y2}));
+    const center=cell=>({x:(cell.x+0.5)*cellW,y:(cell.y+0.5)*cellH});
+
+    // Emitter / target go where the carved maze puts them far apart
+    let emitter,target;
+    const place=grid=>{
+        const placement=MazeGenerator.place(grid,{minTurns});
+        emitter=center(placement.emitter);
+        target={...center(placement.target),r:Math.min(cellW,cellH)*0.3};
+        return placement;
+    };
+
+    // Regenerate / repair until the solver proves the maze is winnable
+    const {walls:maze,grid,solution}=MazeGenerator.generateSolvable(cols,rows,SeededRandom.create(seed),(layout,grid)=>{
+        place(grid);
+        const result=Solver.solve({walls:border.concat(layout.map(wl=>Elements.fromSpec(wl,w,h))),emitter,target,maxBounces});
+        return result.found?result:null;
+    },options);
+
+    return {
+        cols,rows,algorithm:options.algorithm,grid,placement:place(grid),
+        walls:border.concat(maze.map(wl=>Elements.fromSpec(wl,w,h))),
+        emitter,target,maxBounces,solution
+    };
+}
+
+/* ----------------------------------------------------------------------
+   generateSolvable — regenerates a few times, then repairs until check()
+   accepts the layout. check(walls, grid) returns a solution object or
+   null. Repairs knock out ~10% of the walls per step, driven by the same
+   rng, so a seed still reproduces the exact final layout. At worst the
+   walls run out and the open field's direct shot wins; if even that
+   fails it throws instead of handing back an unwinnable maze. Other
+   options go to generate(). Returns { walls, grid, solution }.
+---------------------------------------------------------------------- */
+static generateSolvable(cols,rows,rng=Math.random,check,{retries=4,...options}={}){
+    let walls,grid,solution=null;
+    for(let i=0;i<retries && !solution;i++){
+        ({walls,grid}=MazeGenerator.generate(cols,rows,rng,options));
+        solution=check(walls,grid);
+    }
+    while(!solution){
+        if(!walls.length) throw new Error(`no solvable ${cols}×${rows} layout`);
+        let remove=Math.ceil(walls.length*0.1);
+        while(remove-- && walls.length) walls.splice(rng()*walls.length|0,1);
+        // A lone portal is useless — demote it back to a mirror
+        const portals=walls.filter(wl=>wl.type==='portal');
+        if(portals.length===1){ portals[0].type='mirror'; delete portals[0].link; }
+        MazeGenerator.syncGrid(grid,walls);
+        solution=check(walls,grid);
+    }
+    return {walls,grid,solution};
 }}
@@ -0,0 +1,132 @@
+/* ======================================================================
+   Motion — time-based wall movement for timing puzzles
+   A wall with a `motion` keeps its rest pose in `el.base` and is re-posed
+   every frame from the level clock (seconds since the level loaded):
+
+     rotate  spins around a pivot            { speed°/s, pivot?, phase° }
+     slide   eases back and forth on a track { dx, dy, period s, phase 0..1 }
+     toggle  switches on and off on a timer  { on s, off s, phase s }
+
+   Level files store pivot / dx / dy normalized like every coordinate;
+   at runtime they are in pixels. A rotate without a pivot turns about
+   the wall's midpoint. Switched-off walls set `el.off` and are ignored
+   by the tracer. DOM-free, so moving levels can be solved headlessly.
+====================================================================== */
+const Motion = {
+    kinds: {
+        rotate: {
+            params: {
+                speed: { default: 45, min: -720, max: 720 },
+                phase: { default: 0, min: -360, max: 360 }
+            },
+            apply(el, m, t) {
+                const base = el.base;
+                const pivot = m.pivot || Vec2.mult(Vec2.add(base.a, base.b), 0.5);
+                const ang = (m.phase + m.speed * t) * Math.PI / 180;
+                const c = Math.cos(ang), s = Math.sin(ang);
+                const turn = p => ({
+                    x: pivot.x + (p.x - pivot.x) * c - (p.y - pivot.y) * s,
+                    y: pivot.y + (p.x - pivot.x) * s + (p.y - pivot.y) * c
+                });
+                el.a = turn(base.a);
+                el.b = turn(base.b);
+            }
+        },
+        slide: {
+            params: {
+                dx: { default: 0, min: -1, max: 1, scale: 'x' },
+                dy: { default: 0, min: -1, max: 1, scale: 'y' },
+                period: { default: 4, min: 0.1, max: 120 },
+                phase: { default: 0, min: 0, max: 1 }
+            },
+            apply(el, m, t) {
+                const k = (1 - Math.cos(2 * Math.PI * (t / m.period + m.phase))) / 2;
+                const shift = { x: m.dx * k, y: m.dy * k };
+                el.a = Vec2.add(el.base.a, shift);
+                el.b = Vec2.add(el.base.b, shift);
+            }
+        },
+        toggle: {
+            params: {
+                on: { default: 1, min: 0.05, max: 120 },
+                off: { default: 1, min: 0.05, max: 120 },
+                phase: { default: 0, min: 0, max: 120 }
+            },
+            apply(el, m, t) {
+                el.off = (t + m.phase) % (m.on + m.off) >= m.on;
+            }
+        }
+    },
+
+    /* --------------------------------------------------------------------------
+       Level data ↔ runtime (pixel) motion for a w×h playfield
+    -------------------------------------------------------------------------- */
+    fromSpec(spec, w, h) {
+        const m = { type: spec.type };
+        Object.entries(Motion.kinds[spec.type].params).forEach(([key, p]) => {
+            const v = spec[key] !== undefined ? spec[key] : p.default;
+            m[key] = p.scale === 'x' ? v * w : p.scale === 'y' ? v * h : v;
+        });
+        if (spec.type === 'rotate') m.pivot = spec.pivot ? { x: spec.pivot.x * w, y: spec.pivot.y * h } : null;
+        return m;
+    },
+
+    toSpec(m, w, h, round = v => v) {
+        const spec = { type: m.type };
+        Object.entries(Motion.kinds[m.type].params).forEach(([key, p]) => {
+            spec[key] = p.scale === 'x' ? round(m[key] / w) : p.scale === 'y' ? round(m[key] / h) : m[key];
+        });
+        if (m.pivot) spec.pivot = { x: round(m.pivot.x / w), y: round(m.pivot.y / h) };
+        return spec;
+    },
+
+    // Errors for a level file's wall.motion (see LevelFormat.validateLevel)
+    validate(spec, path) {
+        if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) return [`${path}: must be an object`];
+        const kind = Motion.kinds[spec.type];
+        if (!kind) return [`${path}.type: unknown motion "${spec.type}" (expected ${Object.keys(Motion.kinds).join(', ')})`];
+
+        const errors = [];
+        Object.entries(kind.params).forEach(([key, p]) => {
+            const v = spec[key];
+            if (v !== undefined && !(typeof v === 'number' && v >= p.min && v <= p.max))
+                errors.push(`${path}.${key}: must be a number between ${p.min} and ${p.max}`);
+        });
+        if (spec.type === 'rotate' && spec.pivot !== undefined) {
+            const p = spec.pivot;
+            if (!p || ![p.x, p.y].every(v => typeof v === 'number' && v >= 0 && v <= 1))
+                errors.push(`${path}.pivot: must be { x, y } within 0..1`);
+        }
+        return errors;
+    },
+
+    /* --------------------------------------------------------------------------
+       Runtime
+    -------------------------------------------------------------------------- */
+
+    // Attach a motion, remembering the current pose as the rest pose
+    attach(el, m) {
+        el.motion = m;
+        Motion.rebase(el);
+        return el;
+    },
+
+    // Current endpoints become the rest pose (after editing a moving wall)
+    rebase(el) {
+        el.base = { a: { ...el.a }, b: { ...el.b } };
+    },
+
+    // Back to the rest pose, switched on (level editor)
+    reset(el) {
+        el.a = { ...el.base.a };
+        el.b = { ...el.base.b };
+        el.off = false;
+        Elements.refresh(el);
+    },
+
+    // Pose a moving wall for level time t (seconds); normal + geometry follow
+    apply(el, t) {
+        Motion.kinds[el.motion.type].apply(el, el.motion, t);
+        Elements.refresh(el);
+    }
+};
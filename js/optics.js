@@ -0,0 +1,366 @@
+/* ======================================================================
+   Optics — headless ray-tracing core
+   Pure functions only: no DOM, canvas or particle dependencies, so the
+   same tracer runs in the browser (PhotonGame) and in Node (solvers,
+   level validation, score checks — see tools/headless.js).
+====================================================================== */
+const Optics = {
+    // Fallback material table when none is supplied (see config.js)
+    defaultMaterials: {
+        airIndex: CONFIG.airIndex,
+        refractiveIndex: CONFIG.refractiveIndex,
+        dispersion: CONFIG.dispersion,
+        spectrum: CONFIG.spectrum
+    },
+
+    epsilon: 0.01,          // Prevents self-intersection after a bounce
+    escapeLength: 2000,     // How far an escaping ray is extended
+
+    /* Build a wall segment with its precomputed unit normal */
+    makeWall(x1, y1, x2, y2, type) {
+        const a = { x: x1, y: y1 }, b = { x: x2, y: y2 };
+        return { a, b, type, normal: Optics.segmentNormal(a, b) };
+    },
+
+    /* Returns outward normal vector for a segment a→b */
+    segmentNormal(a, b) {
+        return Vec2.normalize({ x: -(b.y - a.y), y: b.x - a.x });
+    },
+
+    /* --------------------------------------------------------------------------
+       Trace a ray from the emitter. Walls are optical elements (see
+       elements.js) that decide how a beam continues. The result is a tree
+       of ray nodes:
+       - glass interfaces split a beam into a reflected and a transmitted
+         branch weighted by the Fresnel equations
+       - white light entering a dispersive wall also fans out into one
+         colored sub-ray per spectrum band
+       - portals continue the beam as a new branch from the partner portal
+       Branches weaker than minIntensity are pruned, and once maxBranches
+       nodes exist only the strongest continuation of a split is followed.
+
+           node = { path, hits, band, intensity, outcome, children }
+
+       options: { walls, start, dir, maxBounces, target | targets, materials,
+                  checkpoints?, forbidden?, grid?, minIntensity?, maxBranches? }
+       grid is an optional SpatialGrid indexing (some of) the walls; walls it
+       does not index are still tested one by one.
+       Nodes are circles { x, y, r }: a branch must cross the checkpoints in
+       order before a target counts (until then it passes through targets),
+       and touching a forbidden node fails the whole shot.
+       Returns: {
+           root:    the ray tree,
+           rays:    every node of the tree (for rendering),
+           path:    polyline of the primary branch — the shortest branch that
+                    reached the target, otherwise the strongest at each split
+                    (where a branch leaves a portal, its start point is kept
+                    with `jump: true`: the beam never travels into it),
+           hits:    [{ point, normal, dir, wall, type }] along the primary branch
+                    (dir = incoming beam direction),
+           power:   total intensity (0..1) that arrived at the targets,
+           lit:     intensity that arrived at each target,
+           forbidden: true if a branch touched a forbidden node,
+           success: every target lit (with its minPower, see targetPower) and nothing forbidden,
+           outcome: 'target' | 'forbidden' | 'partial' | 'underpowered' |
+                    'absorbed' | 'faded' | 'escaped' | 'bounce-limit'
+       }
+       A target with a `color` only counts beams of that spectrum band, and
+       one with `minPower` needs at least that much intensity to succeed.
+    -------------------------------------------------------------------------- */
+    traceRay({ walls, start, dir, maxBounces, target, targets = target ? [target] : [],
+               checkpoints = [], forbidden = [], materials = Optics.defaultMaterials, grid = null,
+               minIntensity = CONFIG.beam.minIntensity, maxBranches = CONFIG.beam.maxBranches }) {
+        const loose = grid ? walls.filter(wall => !grid.has(wall)) : walls;
+        const scene = { walls, grid, loose, targets, checkpoints, forbidden, materials, minIntensity, maxBranches, branches: 1 };
+        const root = Optics.traceBeam(scene, start, Vec2.normalize(dir), maxBounces, null, 1, 0);
+        const rays = Optics.flatten(root);
+        const chain = Optics.primaryChain(root).chain;
+        const last = chain[chain.length - 1];
+
+        const lit = targets.map((t, i) => rays.reduce((sum, ray) => sum + (ray.outcome === 'target' && ray.target === i ? ray.intensity : 0), 0));
+        const power = lit.reduce((a, b) => a + b, 0);
+        const hitForbidden = rays.some(ray => ray.outcome === 'forbidden');
+        const success = !hitForbidden && targets.length > 0 && targets.every((t, i) => Optics.targetLit(t, lit[i]));
+        const outcome = success ? 'target'
+            : hitForbidden ? 'forbidden'
+            : power > 0 ? (lit.every(p => p > 0) ? 'underpowered' : 'partial')
+            : last.outcome;
+
+        return {
+            root,
+            rays,
+            path: chain.reduce((pts, node) => pts.concat(Optics.joinPath(pts[pts.length - 1], node.path)), []),
+            hits: [].concat(...chain.map(node => node.hits)),
+            power,
+            lit,
+            forbidden: hitForbidden,
+            success,
+            outcome
+        };
+    },
+
+    /* Has a target received enough light? Without its own minPower a white-light
+       target needs CONFIG.beam.targetPower, so a weak partial reflection off
+       glass can't clear it; a colored one takes any light of its band, which
+       dispersion and filters have already thinned out */
+    targetLit(target, power) {
+        return power > 0 && power >= Optics.targetMinPower(target);
+    },
+
+    targetMinPower(target) {
+        return target.minPower !== undefined ? target.minPower : target.color ? 0 : CONFIG.beam.targetPower;
+    },
+
+    /* --------------------------------------------------------------------------
+       Trace one branch step-by-step until:
+       - it hits the target
+       - it hits an absorber
+       - it exceeds the bounce limit
+       - no more wall intersections
+       - it splits (outcome 'split', see children) or fades below minIntensity
+       - it touches a forbidden node
+       band = spectrum entry for colored light, null for white light
+       progress = checkpoints already crossed in order (children inherit it)
+    -------------------------------------------------------------------------- */
+    traceBeam(scene, start, dir, bounces, band, intensity, progress) {
+        const { grid, loose } = scene;
+        const node = { path: [start], hits: [], band, intensity, outcome: 'bounce-limit', children: [], progress };
+        let currPos = start;
+        let currDir = dir;
+
+        for (let i = 0; i < bounces; i++) {
+            let closest = null, hitWall = null;
+            const test = wall => {
+                const hit = Elements.intersect(wall, currPos, currDir);
+                return hit && hit.t > Optics.epsilon ? hit : null;
+            };
+
+            // Nearest element: grid cells along the ray, then any unindexed walls
+            const found = grid && grid.raycast(currPos, currDir, test);
+            if (found) ({ hit: closest, wall: hitWall } = found);
+            for (const wall of loose) {
+                const hit = test(wall);
+                if (hit && (!closest || hit.t < closest.t)) {
+                    closest = hit;
+                    hitWall = wall;
+                }
+            }
+
+            // No more collisions, extend ray outward
+            if (!closest) {
+                node.path.push(Vec2.add(currPos, Vec2.mult(currDir, Optics.escapeLength)));
+                node.outcome = 'escaped';
+                break;
+            }
+
+            // Checkpoints / forbidden nodes / targets along this segment
+            const point = closest.point;
+            const crossed = Optics.crossNodes(scene, node, currPos, point);
+
+            node.path.push(point);
+            node.hits.push({ point, normal: closest.normal, dir: currDir, wall: hitWall, type: hitWall.type });
+
+            if (crossed) {
+                node.outcome = crossed.kind;
+                if (crossed.kind === 'target') node.target = crossed.index;
+                break;
+            }
+
+            // Element response — no outgoing beam means it was absorbed
+            const beam = { dir: currDir, band, intensity };
+            let out = Elements.interact(hitWall, closest, beam, scene);
+            if (!out.length) {
+                node.outcome = 'absorbed';
+                break;
+            }
+
+            out = out.filter(o => o.intensity >= scene.minIntensity);
+            if (!out.length) {
+                node.outcome = 'faded';
+                break;
+            }
+
+            // Lossless single continuation (mirror, total internal reflection, lens)
+            const [next] = out;
+            if (out.length === 1 && !next.origin && next.intensity === intensity && next.band === band) {
+                currDir = next.dir;
+                currPos = point;
+                continue;
+            }
+
+            // Branch budget spent — keep following only the strongest part
+            if (scene.branches + out.length > scene.maxBranches)
+                out = [out.reduce((a, b) => b.intensity > a.intensity ? b : a)];
+            scene.branches += out.length;
+
+            node.outcome = 'split';
+            node.children = out.map(o => Optics.traceBeam(scene, o.origin || point, o.dir, bounces - i - 1, o.band, o.intensity, node.progress));
+            break;
+        }
+        return node;
+    },
+
+    /* --------------------------------------------------------------------------
+       Walk the nodes the segment p1→p2 touches in the order the beam meets
+       them. Advances node.progress on the next checkpoint and returns the
+       first stopping event: { kind: 'forbidden' } or { kind: 'target', index }
+       (a target only once all checkpoints are crossed and the color matches).
+    -------------------------------------------------------------------------- */
+    crossNodes(scene, node, p1, p2) {
+        const { targets, checkpoints, forbidden } = scene;
+        const along = c => Vec2.dot(Vec2.sub(c, p1), Vec2.sub(p2, p1));
+        const touched = [];
+        const collect = (list, kind) => list.forEach((c, index) => {
+            if (Optics.segmentCircleIntersect(p1, p2, c)) touched.push({ kind, index, at: along(c) });
+        });
+        collect(checkpoints, 'checkpoint');
+        collect(forbidden, 'forbidden');
+        collect(targets, 'target');
+        touched.sort((a, b) => a.at - b.at);
+
+        for (const ev of touched) {
+            if (ev.kind === 'checkpoint') {
+                if (ev.index === node.progress) node.progress++;
+            } else if (ev.kind === 'forbidden') {
+                return ev;
+            } else {
+                const t = targets[ev.index];
+                const colorOk = !t.color || (node.band && node.band.name === t.color);
+                if (colorOk && node.progress >= checkpoints.length) return ev;
+            }
+        }
+        return null;
+    },
+
+    /* --------------------------------------------------------------------------
+       Ray tree helpers
+    -------------------------------------------------------------------------- */
+
+    // Picks the primary branch: the shortest successful chain of nodes,
+    // otherwise the strongest child at every split. Returns { chain, length, success }
+    primaryChain(node) {
+        const own = Optics.pathLength(node.path);
+        if (!node.children.length)
+            return { chain: [node], length: own, success: node.outcome === 'target' };
+
+        const options = node.children.map(Optics.primaryChain);
+        const wins = options.filter(o => o.success).sort((a, b) => a.length - b.length);
+        const pick = wins[0] || options.reduce((a, b) => b.chain[0].intensity > a.chain[0].intensity ? b : a);
+        return { chain: [node, ...pick.chain], length: own + pick.length, success: pick.success };
+    },
+
+    // A child node's path continued from the parent's last point: the shared
+    // start is dropped, a detached one (portal exit) is kept as a jump
+    joinPath(last, path) {
+        if (!last) return path;
+        const [start, ...rest] = path;
+        return start.x === last.x && start.y === last.y ? rest : [{ ...start, jump: true }, ...rest];
+    },
+
+    // Every node of a ray tree, parents before children
+    flatten(node) {
+        return [node].concat(...node.children.map(Optics.flatten));
+    },
+
+    /* Cauchy dispersion model: n(λ) = A + B / λ², λ in micrometres */
+    cauchyIndex(wavelengthNm, { A, B }) {
+        const um = wavelengthNm / 1000;
+        return A + B / (um * um);
+    },
+
+    /* Mirror reflection about a (possibly back-facing) normal */
+    reflect(dir, normal) {
+        if (Vec2.dot(dir, normal) > 0) normal = Vec2.mult(normal, -1);
+        return Vec2.normalize(Vec2.sub(dir, Vec2.mult(normal, 2 * Vec2.dot(dir, normal))));
+    },
+
+    /* Snell's law refraction; falls back to total internal reflection.
+       n1 is the index on the normal side (outside), n2 the inside. */
+    refract(dir, normal, n1, n2) {
+        const t = Optics.fresnel(dir, normal, n1, n2);
+        return t.transmitted || Optics.reflect(dir, normal);
+    },
+
+    /* --------------------------------------------------------------------------
+       Fresnel equations for unpolarized light at an n1|n2 interface
+       Returns { R, transmitted } — transmitted is null on total internal
+       reflection (R = 1). n1 is the index on the normal side (outside).
+    -------------------------------------------------------------------------- */
+    fresnel(dir, normal, n1, n2) {
+        const entering = Vec2.dot(dir, normal) < 0;
+
+        // Swap index if exiting the material
+        if (!entering) { normal = Vec2.mult(normal, -1); [n1, n2] = [n2, n1]; }
+
+        const n = n1 / n2;
+        const cosI = -Vec2.dot(normal, dir);
+        const sinT2 = n * n * (1 - cosI * cosI);
+
+        // Total internal reflection
+        if (sinT2 > 1.0) return { R: 1, transmitted: null };
+
+        const cosT = Math.sqrt(1 - sinT2);
+        const rs = (n1 * cosI - n2 * cosT) / (n1 * cosI + n2 * cosT);
+        const rp = (n1 * cosT - n2 * cosI) / (n1 * cosT + n2 * cosI);
+
+        return {
+            R: (rs * rs + rp * rp) / 2,
+            transmitted: Vec2.add(Vec2.mult(dir, n), Vec2.mult(normal, n * cosI - cosT))
+        };
+    },
+
+    /* Reflected + transmitted beams at an interface, weighted by Fresnel */
+    fresnelSplit(dir, normal, n1, n2, band, intensity) {
+        const { R, transmitted } = Optics.fresnel(dir, normal, n1, n2);
+        const reflected = { dir: Optics.reflect(dir, normal), band, intensity: intensity * R };
+        if (!transmitted) return [reflected];
+        return [reflected, { dir: transmitted, band, intensity: intensity * (1 - R), transmitted: true }];
+    },
+
+    /* Line (ray) vs segment intersection — parametric solver */
+    intersectSegment(p, d, a, b) {
+        const v1 = { x: p.x - a.x, y: p.y - a.y };
+        const v2 = { x: b.x - a.x, y: b.y - a.y };
+        const v3 = { x: -d.y, y: d.x };
+        const dot = Vec2.dot(v2, v3);
+        if (Math.abs(dot) < 0.00001) return null;
+
+        const t1 = (v2.x * v1.y - v2.y * v1.x) / dot;
+        const t2 = Vec2.dot(v1, v3) / dot;
+
+        // t1>0 ensures ray forward only, 0≤t2≤1 ensures segment bounds
+        if (t1 >= 0 && t2 >= 0 && t2 <= 1)
+            return { t: t1, point: { x: p.x + t1 * d.x, y: p.y + t1 * d.y } };
+        return null;
+    },
+
+    /* Detect whether the segment p1→p2 passes through a circle */
+    segmentCircleIntersect(p1, p2, circle) {
+        return Optics.segmentPointDistance(p1, p2, circle) < circle.r;
+    },
+
+    /* Shortest distance between segment p1→p2 and point c */
+    segmentPointDistance(p1, p2, c) {
+        const L2 = Vec2.dist(p1, p2) ** 2;
+        if (L2 === 0) return Vec2.dist(p1, c);
+
+        let t = ((c.x - p1.x) * (p2.x - p1.x) + (c.y - p1.y) * (p2.y - p1.y)) / L2;
+        t = Math.max(0, Math.min(1, t)); // clamp to segment
+
+        return Vec2.dist(c, { x: p1.x + t * (p2.x - p1.x), y: p1.y + t * (p2.y - p1.y) });
+    },
+
+    /* Total (unrounded) length of a polyline — jumps to a `jump` point
+       (portal exits) are not travelled and don't count */
+    pathLength(points) {
+        let L = 0;
+        for (let i = 0; i < points.length - 1; i++)
+            if (!points[i + 1].jump) L += Vec2.dist(points[i], points[i + 1]);
+        return L;
+    },
+
+    /* Trace a polyline on a canvas path, lifting the pen at jump points */
+    tracePath(ctx, points) {
+        points.forEach((p, i) => i === 0 || p.jump ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+    }
+};
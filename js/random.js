@@ -0,0 +1,29 @@
+/* ======================================================================
+   Seeded Random Module
+   Deterministic PRNG (mulberry32) so procedural levels can be rebuilt
+   exactly from a seed, plus helpers to turn seeds into short codes.
+====================================================================== */
+const SeededRandom = {
+    // Returns a Math.random-compatible function driven by a 32-bit seed
+    create(seed){
+        let s=seed>>>0;
+        return ()=>{
+            s=(s+0x6D2B79F5)>>>0;
+            let t=s;
+            t=Math.imul(t^(t>>>15),t|1);
+            t^=t+Math.imul(t^(t>>>7),t|61);
+            return ((t^(t>>>14))>>>0)/4294967296;
+        };
+    },
+
+    // Fresh random seed for a brand-new layout
+    randomSeed:()=>(Math.random()*4294967296)>>>0,
+
+    // Seed <-> shareable code (base36, upper case)
+    toCode:seed=>(seed>>>0).toString(36).toUpperCase(),
+    fromCode:code=>{
+        if(!code || !/^[0-9a-z]+$/i.test(code)) return null;
+        const n=parseInt(code,36);
+        return n<=0xFFFFFFFF?n>>>0:null;
+    }
+};
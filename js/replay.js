@@ -0,0 +1,136 @@
+/* ============================================================================
+   ReplayViewer — step through the bounce points of recorded shots
+   - Pick any shot in game.history (newest first)
+   - Step forward / back through the wall hits along its primary branch
+   - Shows the material hit and the angle of incidence at each vertex
+
+   Keys: V open/close · [ ] older/newer shot · , . previous/next bounce
+============================================================================ */
+
+class ReplayViewer {
+    constructor(game) {
+        this.game = game;
+        this.active = false;
+        this.shot = null;               // History entry being inspected
+        this.vertex = 0;                // Index into shot.hits
+
+        this.ui = {
+            bar: document.getElementById('replay-bar'),
+            toggle: document.getElementById('replay-toggle'),
+            info: document.getElementById('replay-info')
+        };
+        this.bindEvents();
+    }
+
+    toggle() {
+        this.active = !this.active;
+        this.shot = this.active ? this.game.history[0] || null : null;
+        this.vertex = 0;
+        this.ui.bar.classList.toggle('active', this.active);
+        this.ui.toggle.classList.toggle('on', this.active);
+        this.update();
+    }
+
+    bindEvents() {
+        window.addEventListener('keydown', e => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            if (e.key === 'v' || e.key === 'V') this.toggle();
+            if (!this.active) return;
+            if (e.key === '[') this.pickShot(1);
+            else if (e.key === ']') this.pickShot(-1);
+            else if (e.key === ',') this.step(-1);
+            else if (e.key === '.') this.step(1);
+        });
+    }
+
+    /* --------------------------------------------------------------------------
+       Navigation
+    -------------------------------------------------------------------------- */
+
+    // +1 = older shot, -1 = newer shot
+    pickShot(delta) {
+        const history = this.game.history;
+        if (!history.length) return;
+        const i = Math.max(0, Math.min(history.length - 1, history.indexOf(this.shot) + delta));
+        this.shot = history[i];
+        this.vertex = 0;
+        this.update();
+    }
+
+    step(delta) {
+        if (!this.shot || !this.shot.hits.length) return;
+        this.vertex = Math.max(0, Math.min(this.shot.hits.length - 1, this.vertex + delta));
+        this.update();
+    }
+
+    /* Angle between the incoming beam and the surface normal (degrees) */
+    static incidence(hit) {
+        const cos = Math.abs(Vec2.dot(Vec2.normalize(hit.dir), hit.normal));
+        return Math.acos(Math.min(1, cos)) * 180 / Math.PI;
+    }
+
+    update() {
+        if (!this.active) return;
+        const history = this.game.history;
+        const i = history.indexOf(this.shot);
+        if (i < 0) {
+            this.ui.info.innerText = "No shots to replay";
+            return;
+        }
+
+        const hits = this.shot.hits;
+        const hit = hits[this.vertex];
+        this.ui.info.innerText = `Shot ${i + 1}/${history.length} · ` + (hit
+            ? `bounce ${this.vertex + 1}/${hits.length} · ${hit.type} · incidence ${ReplayViewer.incidence(hit).toFixed(2)}°`
+            : "no wall hits");
+    }
+
+    /* --------------------------------------------------------------------------
+       Overlay rendering (called from PhotonGame.animate)
+    -------------------------------------------------------------------------- */
+    draw(ctx) {
+        if (!this.active) return;
+
+        // Follow the newest shot once the viewed one drops out of history
+        if (!this.game.history.includes(this.shot)) {
+            this.shot = this.game.history[0] || null;
+            this.vertex = 0;
+            this.update();
+        }
+        if (!this.shot) return;
+
+        // Primary path of the inspected shot
+        const path = this.shot.path;
+        ctx.beginPath();
+        Optics.tracePath(ctx, path);
+        ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        const hit = this.shot.hits[this.vertex];
+        if (!hit) return;
+        const p = hit.point, n = hit.normal, d = Vec2.normalize(hit.dir);
+
+        // Incoming beam, surface normal and vertex marker
+        ctx.beginPath();
+        ctx.moveTo(p.x - d.x * 40, p.y - d.y * 40);
+        ctx.lineTo(p.x, p.y);
+        ctx.strokeStyle = '#ff0';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(p.x - n.x * 25, p.y - n.y * 25);
+        ctx.lineTo(p.x + n.x * 25, p.y + n.y * 25);
+        ctx.strokeStyle = 'rgba(255,255,255,0.8)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 7, 0, Math.PI * 2);
+        ctx.strokeStyle = '#ff0';
+        ctx.stroke();
+    }
+}
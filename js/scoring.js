@@ -0,0 +1,58 @@
+/* ======================================================================
+   Scoring — stars and points for a clear, measured against par
+   A clear is rated on two axes (CONFIG.scoring):
+   - length    par / score, where score is the path length plus penalties
+               (1 at par or better; levels without a par get `noParLength`
+               and never the par star, so they can't out-rate par levels)
+   - attempts  shots used against the level's attempt budget
+               (1 within budget, budget / attempts past it, never below
+               `attemptFloor`)
+   points = maxPoints × length × attempts, so every level is worth the
+   same at best however long its paths are; the session score sums the
+   best points of each level. Stars: one for clearing, one for staying
+   within `parSlack` of par, one for staying within the budget.
+
+   DOM-free, like daily.js.
+====================================================================== */
+const Scoring = {
+    /* Rate one clear.
+       { score, par (null if unknown), attempts, budget } →
+       { stars, points, length, attempts, withinPar, withinBudget } */
+    rate({ score, par, attempts, budget }) {
+        const { maxPoints, parSlack, attemptFloor, noParLength } = CONFIG.scoring;
+        const withinPar = par !== null && score <= par * (1 + parSlack);
+        const withinBudget = attempts <= budget;
+        const length = par === null ? noParLength : Math.min(1, par / Math.max(score, 1));
+        const tries = withinBudget ? 1 : Math.max(attemptFloor, budget / attempts);
+        return {
+            stars: 1 + withinPar + withinBudget,
+            points: Math.round(maxPoints * length * tries),
+            length,
+            attempts: tries,
+            withinPar,
+            withinBudget
+        };
+    },
+
+    // Attempt budget of a level: its own, or the default per emitter
+    budget(level = {}, emitters = 1) {
+        return level.attemptBudget || CONFIG.scoring.attemptBudget * emitters;
+    },
+
+    // "★★☆"
+    stars(n) {
+        return '★'.repeat(n) + '☆'.repeat(3 - n);
+    },
+
+    /* Session score over level records { points, stars }:
+       { points, stars, levels, max } (max = points if every level were perfect) */
+    total(records) {
+        const rated = Object.values(records).filter(rec => typeof rec.points === 'number');
+        return {
+            points: rated.reduce((a, rec) => a + rec.points, 0),
+            stars: rated.reduce((a, rec) => a + (rec.stars || 0), 0),
+            levels: rated.length,
+            max: rated.length * CONFIG.scoring.maxPoints
+        };
+    }
+};
@@ -0,0 +1,105 @@
+/* ======================================================================
+   Solver — proves a level is winnable by sweeping emission angles
+   Built on the headless Optics core (no DOM), so it runs in Node too.
+
+   1. Coarse sweep over the full circle
+   2. Refine around successes and the closest near-misses
+   3. Report the shortest successful path (the level's "par")
+====================================================================== */
+const Solver = {
+    defaults: {
+        samples: 720,           // Coarse sweep resolution (0.5° steps)
+        candidates: 12,         // Near-misses / successes kept for refining
+        refineDepth: 4,         // Number of zoom-in passes per candidate
+        refineSamples: 12       // Angles tested per zoom-in pass
+    },
+
+    /* --------------------------------------------------------------------------
+       scene: { walls, emitter, target, maxBounces, materials, grid?,
+                checkpoints?, forbidden? }
+       Without a grid one is built, since every sample re-traces the walls.
+       Returns: { found, angle, length, path, miss }
+       - length is floored like the in-game score
+       - miss is the closest approach to the target (0 when found)
+    -------------------------------------------------------------------------- */
+    solve(scene, options = {}) {
+        const opt = { ...Solver.defaults, ...options };
+        if (!scene.grid) scene = { ...scene, grid: new SpatialGrid(scene.walls) };
+        const step = Math.PI * 2 / opt.samples;
+        let best = null;
+        let samples = [];
+
+        const consider = (s) => {
+            if (s.success && (!best || s.length < best.length)) best = s;
+        };
+
+        // Coarse sweep
+        for (let i = 0; i < opt.samples; i++) {
+            const s = Solver.sample(scene, i * step);
+            samples.push(s);
+            consider(s);
+        }
+
+        // Refine: successes first (shorter is better), then smallest misses
+        samples.sort((a, b) => (a.success === b.success)
+            ? (a.success ? a.length - b.length : a.miss - b.miss)
+            : (a.success ? -1 : 1));
+        samples = samples.slice(0, opt.candidates);
+
+        samples.forEach(seed => {
+            let center = seed, span = step;
+            for (let d = 0; d < opt.refineDepth; d++) {
+                const sub = span * 2 / opt.refineSamples;
+                for (let k = 0; k <= opt.refineSamples; k++) {
+                    const s = Solver.sample(scene, center.angle - span + k * sub);
+                    consider(s);
+                    if (Solver.better(s, center)) center = s;
+                }
+                span = sub;
+            }
+        });
+
+        if (!best) {
+            const miss = Math.min(...samples.map(s => s.miss));
+            return { found: false, angle: null, length: Infinity, path: null, miss };
+        }
+        return { found: true, angle: best.angle, length: best.length, path: best.path, miss: 0 };
+    },
+
+    /* Trace one emission angle and score it */
+    sample(scene, angle) {
+        const result = Optics.traceRay({
+            walls: scene.walls,
+            start: scene.emitter,
+            dir: { x: Math.cos(angle), y: Math.sin(angle) },
+            maxBounces: scene.maxBounces,
+            target: scene.target,
+            checkpoints: scene.checkpoints,
+            forbidden: scene.forbidden,
+            materials: scene.materials,
+            grid: scene.grid
+        });
+
+        return {
+            angle,
+            success: result.success,
+            path: result.path,
+            length: Math.floor(Optics.pathLength(result.path)),
+            miss: result.success ? 0 : Solver.closestApproach(result.path, scene.target)
+        };
+    },
+
+    /* Is sample a an improvement over sample b while zooming in? */
+    better(a, b) {
+        if (a.success !== b.success) return a.success;
+        return a.success ? a.length < b.length : a.miss < b.miss;
+    },
+
+    /* Distance between the beam and the target rim (how "near" a miss was) */
+    closestApproach(path, target) {
+        let min = Infinity;
+        for (let i = 0; i < path.length - 1; i++)
+            if (!path[i + 1].jump) min = Math.min(min, Optics.segmentPointDistance(path[i], path[i + 1], target));
+        return Math.max(0, min - target.r);
+    }
+};
@@ -0,0 +1,109 @@
+/* ======================================================================
+   SpatialGrid — uniform grid over wall segments for ray queries
+   Built once per layout (PhotonGame.loadLevel, Solver.solve) so a bounce
+   only tests the walls in the cells the ray actually crosses, walked
+   front-to-back with a DDA traversal (Amanatides & Woo).
+
+   Queries return exactly the hit a brute-force scan over the same walls
+   would: equal distances go to the wall listed first.
+====================================================================== */
+class SpatialGrid {
+    /* walls: elements to index · cellSize: optional, defaults to roughly
+       one wall per cell */
+    constructor(walls, cellSize) {
+        this.walls = walls;
+        this.index = new Set(walls);
+        this.marks = new Int32Array(walls.length);  // Per-query "already tested"
+        this.query = 0;
+        this.cols = this.rows = 0;
+        if (!walls.length) return;
+
+        const boxes = walls.map(wall => Elements.bounds(wall));
+        this.minX = Math.min(...boxes.map(b => b.minX)) - 1;
+        this.minY = Math.min(...boxes.map(b => b.minY)) - 1;
+        const width = Math.max(...boxes.map(b => b.maxX)) + 1 - this.minX;
+        const height = Math.max(...boxes.map(b => b.maxY)) + 1 - this.minY;
+
+        this.size = cellSize || Math.max(4, Math.sqrt(width * height / walls.length));
+        this.cols = Math.ceil(width / this.size);
+        this.rows = Math.ceil(height / this.size);
+        this.cells = Array.from({ length: this.cols * this.rows }, () => []);
+
+        // Boxes are padded slightly so walls touching a cell edge land in both cells
+        const pad = 1e-3;
+        boxes.forEach((b, i) => {
+            const x0 = this.cellX(b.minX - pad), x1 = this.cellX(b.maxX + pad);
+            const y0 = this.cellY(b.minY - pad), y1 = this.cellY(b.maxY + pad);
+            for (let y = y0; y <= y1; y++)
+                for (let x = x0; x <= x1; x++) this.cells[y * this.cols + x].push(i);
+        });
+    }
+
+    cellX(x) {
+        return Math.max(0, Math.min(this.cols - 1, Math.floor((x - this.minX) / this.size)));
+    }
+
+    cellY(y) {
+        return Math.max(0, Math.min(this.rows - 1, Math.floor((y - this.minY) / this.size)));
+    }
+
+    has(wall) {
+        return this.index.has(wall);
+    }
+
+    /* --------------------------------------------------------------------------
+       Closest hit along the ray p + t·d.
+       test(wall) → { t, ... } | null decides what counts as a hit.
+       Returns { hit, wall } or null.
+    -------------------------------------------------------------------------- */
+    raycast(p, d, test) {
+        if (!this.cols) return null;
+        const maxX = this.minX + this.cols * this.size;
+        const maxY = this.minY + this.rows * this.size;
+
+        // Clip the ray against the grid box (slab test)
+        let t0 = 0, t1 = Infinity;
+        for (const [o, v, lo, hi] of [[p.x, d.x, this.minX, maxX], [p.y, d.y, this.minY, maxY]]) {
+            if (v === 0) {
+                if (o < lo || o > hi) return null;
+                continue;
+            }
+            const ta = (lo - o) / v, tb = (hi - o) / v;
+            t0 = Math.max(t0, Math.min(ta, tb));
+            t1 = Math.min(t1, Math.max(ta, tb));
+        }
+        if (t0 > t1) return null;
+
+        // DDA setup from the entry cell
+        let cx = this.cellX(p.x + d.x * t0);
+        let cy = this.cellY(p.y + d.y * t0);
+        const stepX = d.x > 0 ? 1 : -1, stepY = d.y > 0 ? 1 : -1;
+        const deltaX = d.x !== 0 ? this.size / Math.abs(d.x) : Infinity;
+        const deltaY = d.y !== 0 ? this.size / Math.abs(d.y) : Infinity;
+        let nextX = d.x !== 0 ? (this.minX + (cx + (d.x > 0)) * this.size - p.x) / d.x : Infinity;
+        let nextY = d.y !== 0 ? (this.minY + (cy + (d.y > 0)) * this.size - p.y) / d.y : Infinity;
+
+        const q = ++this.query;
+        let best = null, bestIndex = -1;
+
+        while (cx >= 0 && cx < this.cols && cy >= 0 && cy < this.rows) {
+            for (const i of this.cells[cy * this.cols + cx]) {
+                if (this.marks[i] === q) continue;
+                this.marks[i] = q;
+                const hit = test(this.walls[i]);
+                if (hit && (!best || hit.t < best.t || (hit.t === best.t && i < bestIndex))) {
+                    best = hit;
+                    bestIndex = i;
+                }
+            }
+
+            // Nothing in a later cell can be closer than a hit inside this one
+            if (best && best.t < Math.min(nextX, nextY)) break;
+
+            if (nextX < nextY) { cx += stepX; nextX += deltaX; }
+            else { cy += stepY; nextY += deltaY; }
+        }
+
+        return best && { hit: best, wall: this.walls[bestIndex] };
+    }
+}
@@ -0,0 +1,106 @@
+/* ======================================================================
+   Progress Store — persistent progress, records and settings
+   Saved as one versioned JSON blob in localStorage. Older saves are
+   upgraded step by step through `migrations` on load; unreadable or
+   future-version saves fall back to a fresh profile.
+====================================================================== */
+const ProgressStore = {
+    KEY: 'photon-maze.progress',
+    VERSION: 4,
+
+    // Fresh profile
+    defaults() {
+        return {
+            version: ProgressStore.VERSION,
+            records: {},                // Per level index: { best, assisted } path lengths, { points, stars } (scoring.js), fewest hints (hints.js)
+            daily: {},                  // Per date: { best, assisted, attempts, runs } (daily.js)
+            unlockedLevel: 0,           // Highest level index reached
+            levelIndex: 0,              // Level to resume on
+            seed: null,                 // Maze seed of the level to resume
+            attempts: 0,                // Attempts spent on that level
+            shots: null,                // Shots rated on that level (scoring.js; null = attempts)
+            failure: null,              // Failure policy state on that level (FailurePolicy.snapshot)
+            totalSessionDistance: 0,
+            suspended: null,            // Puzzle left for the button challenge (PhotonGame.suspend)
+            settings: { ...CONFIG.defaultSettings }
+        };
+    },
+
+    // migrations[n] upgrades a version-n save to version n+1
+    migrations: {
+        // v2: preview-assisted clears get their own record next to the fair one
+        1: data => {
+            const records = {};
+            Object.entries(data.records || {}).forEach(([i, len]) => { records[i] = { best: len, assisted: null }; });
+            return { ...data, records };
+        },
+
+        // v3: path lengths are measured in fixed world units (CONFIG.world) instead of
+        // window pixels. Old level records came from arbitrary canvas sizes and are
+        // dropped; daily runs are kept only if they were played at the world size.
+        2: data => {
+            const { width, height } = CONFIG.world;
+            const daily = {};
+            Object.entries(data.daily || {}).forEach(([key, rec]) => {
+                const runs = (rec.runs || []).filter(run => run.w === width && run.h === height);
+                const best = assisted => {
+                    const lengths = runs.filter(run => !!run.assisted === assisted).map(run => run.length);
+                    return lengths.length ? Math.min(...lengths) : null;
+                };
+                daily[key] = { ...rec, runs, best: best(false), assisted: best(true) };
+            });
+            return { ...data, records: {}, daily };
+        },
+
+        // v4: the campaign grew from 3 to 8 handcrafted levels (SPECTRUM … RELAY were
+        // added in front of the procedural mazes). Procedural level indices — the
+        // level to resume, the unlocked level, a suspended puzzle and their records
+        // — move up by the 5 new levels so they don't land on the new campaign.
+        3: data => {
+            const campaign = 3, added = 5;
+            const shift = index => Number.isInteger(index) && index >= campaign ? index + added : index;
+            const records = {};
+            Object.entries(data.records || {}).forEach(([i, rec]) => { records[shift(Number(i))] = rec; });
+            const suspended = data.suspended ? { ...data.suspended, levelIndex: shift(data.suspended.levelIndex) } : null;
+            return {
+                ...data, records, suspended,
+                levelIndex: shift(data.levelIndex),
+                unlockedLevel: shift(data.unlockedLevel)
+            };
+        }
+    },
+
+    /* Read + migrate the stored profile (never throws) */
+    load() {
+        let data;
+        try {
+            data = JSON.parse(localStorage.getItem(ProgressStore.KEY));
+        } catch (e) {
+            data = null;
+        }
+        if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) return ProgressStore.defaults();
+
+        while (data.version < ProgressStore.VERSION) {
+            const migrate = ProgressStore.migrations[data.version];
+            if (!migrate) return ProgressStore.defaults();
+            data = { ...migrate(data), version: data.version + 1 };
+        }
+        if (data.version > ProgressStore.VERSION) return ProgressStore.defaults();
+
+        const fresh = ProgressStore.defaults();
+        return { ...fresh, ...data, settings: { ...fresh.settings, ...data.settings } };
+    },
+
+    save(data) {
+        try {
+            localStorage.setItem(ProgressStore.KEY, JSON.stringify({ ...data, version: ProgressStore.VERSION }));
+        } catch (e) {
+            // Storage full or disabled (private mode) — progress stays in memory only
+        }
+    },
+
+    reset() {
+        try { localStorage.removeItem(ProgressStore.KEY); } catch (e) { /* ignore */ }
+        return ProgressStore.defaults();
+    }
+};
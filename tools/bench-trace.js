@@ -0,0 +1,105 @@
+/* ======================================================================
+   Ray tracing benchmark — brute-force wall scan vs SpatialGrid
+   Builds the procedural maze sizes PhotonGame uses, fires the same
+   random shots through both paths, checks that every ray tree matches
+   exactly and prints the timings. A fixed portal shot then checks that
+   the primary path keeps the portal exit and measures only the distance
+   the beam travels.
+
+   Usage: node tools/bench-trace.js [shots per maze] [mazes per size]
+====================================================================== */
+const { CONFIG, Elements, MazeGenerator, Optics, SeededRandom, SpatialGrid } = require('./headless');
+
+const shots = parseInt(process.argv[2], 10) || 300;
+const mazes = parseInt(process.argv[3], 10) || 3;
+const w = 1200, h = 900;
+const sizes = [['LABYRINTH', 10, 6], ['COMPLEX', 16, 9], ['MEGA COMPLEX', 22, 14]];
+
+/* Same layout PhotonGame.loadLevel builds for a procedural level */
+function buildScene(cols, rows, seed) {
+    const border = [[0, 0, w, 0], [w, 0, w, h], [w, h, 0, h], [0, h, 0, 0]]
+        .map(([x1, y1, x2, y2]) => Elements.create('mirror', { x: x1, y: y1 }, { x: x2, y: y2 }));
+    const { walls: maze, grid } = MazeGenerator.generate(cols, rows, SeededRandom.create(seed));
+    const { emitter, target } = MazeGenerator.place(grid);
+    const cellW = w / cols, cellH = h / rows;
+    const center = cell => ({ x: (cell.x + 0.5) * cellW, y: (cell.y + 0.5) * cellH });
+    return {
+        walls: border.concat(maze.map(spec => Elements.fromSpec(spec, w, h))),
+        emitter: center(emitter),
+        target: { ...center(target), r: Math.min(cellW, cellH) * 0.3 }
+    };
+}
+
+// Everything a caller can observe about a shot, for exact comparison
+const signature = result => JSON.stringify([
+    result.outcome, result.power, result.rays.map(ray => [ray.path, ray.outcome, ray.intensity])
+]);
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    const value = fn();
+    return { value, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+let mismatches = 0;
+console.log(`${shots} shots × ${mazes} mazes per size, ${CONFIG.complexMaxBounces} bounces\n`);
+console.log('maze           walls   build ms   brute ms    grid ms   speedup');
+
+sizes.forEach(([name, cols, rows]) => {
+    let walls = 0, build = 0, brute = 0, fast = 0;
+
+    for (let m = 0; m < mazes; m++) {
+        const scene = buildScene(cols, rows, 1000 + m);
+        const rng = SeededRandom.create(m);
+        const dirs = Array.from({ length: shots }, () => {
+            const a = rng() * Math.PI * 2;
+            return { x: Math.cos(a), y: Math.sin(a) };
+        });
+        const trace = (dir, grid) => Optics.traceRay({
+            walls: scene.walls, start: scene.emitter, dir, grid,
+            maxBounces: CONFIG.complexMaxBounces, target: scene.target
+        });
+
+        const indexed = time(() => new SpatialGrid(scene.walls));
+        const a = time(() => dirs.map(dir => trace(dir, null)));
+        const b = time(() => dirs.map(dir => trace(dir, indexed.value)));
+
+        a.value.forEach((result, i) => { if (signature(result) !== signature(b.value[i])) mismatches++; });
+        walls += scene.walls.length;
+        build += indexed.ms;
+        brute += a.ms;
+        fast += b.ms;
+    }
+
+    console.log(name.padEnd(14) +
+        String(Math.round(walls / mazes)).padStart(6) +
+        (build / mazes).toFixed(2).padStart(11) +
+        brute.toFixed(0).padStart(11) +
+        fast.toFixed(0).padStart(11) +
+        `${(brute / fast).toFixed(1)}×`.padStart(10));
+});
+
+let portalFailed = false;
+// Portal pair: the path must continue from the exit portal, and the jump
+// between the portals must not count toward the length
+{
+    const border = [[0, 0, w, 0], [w, 0, w, h], [w, h, 0, h], [0, h, 0, 0]]
+        .map(([x1, y1, x2, y2]) => Elements.create('mirror', { x: x1, y: y1 }, { x: x2, y: y2 }));
+    const portals = [
+        Elements.create('portal', { x: 300, y: 100 }, { x: 300, y: 300 }, { link: 'A' }),
+        Elements.create('portal', { x: 800, y: 500 }, { x: 800, y: 700 }, { link: 'A' })
+    ];
+    const result = Optics.traceRay({
+        walls: border.concat(portals), start: { x: 100, y: 200 }, dir: { x: 1, y: 0 },
+        maxBounces: 3, target: { x: 50, y: 50, r: 1 }
+    });
+    const travelled = Optics.flatten(result.root).reduce((sum, ray) => sum + Optics.pathLength(ray.path), 0);
+    const exit = result.path.find(p => p.jump);
+    const ok = exit && exit.x === 800 && exit.y === 600 && Math.abs(Optics.pathLength(result.path) - travelled) < 1e-9;
+    console.log(ok ? '\n✔ portal path continues from the exit portal'
+        : `\n✘ portal path ${JSON.stringify(result.path)} (${Optics.pathLength(result.path)} vs ${travelled} travelled)`);
+    portalFailed = !ok;
+}
+
+console.log(mismatches ? `\n✘ ${mismatches} shot(s) differ from the brute-force tracer` : '\n✔ grid results identical to brute force');
+process.exit(mismatches || portalFailed ? 1 : 0);
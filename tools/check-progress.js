@@ -0,0 +1,65 @@
+/* ======================================================================
+   Progress migration check
+   Loads saves from every older ProgressStore version through an
+   in-memory localStorage and checks what they upgrade to: procedural
+   level indices (resume, unlocked, suspended, records) move past the
+   handcrafted levels added since, campaign ones stay put.
+
+   Usage: node tools/check-progress.js
+====================================================================== */
+const { ProgressStore } = require('./headless');
+
+const store = {};
+global.localStorage = {
+    getItem: key => (key in store ? store[key] : null),
+    setItem: (key, value) => { store[key] = String(value); },
+    removeItem: key => { delete store[key]; }
+};
+
+function load(save) {
+    localStorage.setItem(ProgressStore.KEY, JSON.stringify(save));
+    return ProgressStore.load();
+}
+
+const checks = [];
+function check(name, actual, expected) {
+    const ok = JSON.stringify(actual) === JSON.stringify(expected);
+    checks.push(ok);
+    console.log(ok ? `✔ ${name}` : `✘ ${name}: ${JSON.stringify(actual)} (expected ${JSON.stringify(expected)})`);
+}
+
+// v3 save on the 3rd procedural maze (index 5 behind the old 3-level campaign)
+{
+    const p = load({
+        version: 3, levelIndex: 5, unlockedLevel: 5, seed: 42, attempts: 2,
+        records: { 0: { best: 900, assisted: null }, 2: { best: 1500, assisted: null }, 3: { best: 2000, assisted: null }, 5: { best: 3100, assisted: 2800 } },
+        suspended: { id: 'a', levelIndex: 4, seed: 7 }
+    });
+    check('v3 resume level moves past the new levels', [p.levelIndex, p.seed, p.attempts], [10, 42, 2]);
+    check('v3 unlocked level moves past the new levels', p.unlockedLevel, 10);
+    check('v3 campaign records stay, maze records move', Object.keys(p.records), ['0', '2', '8', '10']);
+    check('v3 record keeps its values', p.records[10], { best: 3100, assisted: 2800 });
+    check('v3 suspended puzzle moves with its maze', [p.suspended.levelIndex, p.suspended.seed], [9, 7]);
+    check('upgraded to the current version', p.version, ProgressStore.VERSION);
+}
+
+// v3 save still in the old campaign
+{
+    const p = load({ version: 3, levelIndex: 2, unlockedLevel: 2, records: {}, suspended: null });
+    check('v3 campaign level stays', [p.levelIndex, p.unlockedLevel, p.suspended], [2, 2, null]);
+}
+
+// v1 save (plain lengths) goes through every step
+{
+    const p = load({ version: 1, levelIndex: 3, unlockedLevel: 4, records: { 1: 700, 4: 2000 } });
+    check('v1 save resumes past the new levels', [p.levelIndex, p.unlockedLevel], [8, 9]);
+    check('v1 records are dropped with the pixel lengths (v3)', p.records, {});
+}
+
+// Current saves are read as they are
+{
+    const p = load({ version: ProgressStore.VERSION, levelIndex: 5, unlockedLevel: 6, records: { 5: { best: 1 } } });
+    check('current save is not shifted', [p.levelIndex, p.unlockedLevel, Object.keys(p.records)], [5, 6, ['5']]);
+}
+
+process.exit(checks.every(Boolean) ? 0 : 1);
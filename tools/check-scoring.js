@@ -0,0 +1,39 @@
+/* ======================================================================
+   Scoring check
+   Rates a few clears with Scoring.rate and checks the stars and points:
+   par and budget stars, the attempt floor, and that a level without a
+   par (null — no solver par and none set by the level) never rates
+   above the same clear on a level with one.
+
+   Usage: node tools/check-scoring.js
+====================================================================== */
+const { CONFIG, Scoring } = require('./headless');
+
+const checks = [];
+function check(name, actual, expected) {
+    const ok = JSON.stringify(actual) === JSON.stringify(expected);
+    checks.push(ok);
+    console.log(ok ? `✔ ${name}` : `✘ ${name}: ${JSON.stringify(actual)} (expected ${JSON.stringify(expected)})`);
+}
+
+const { maxPoints, noParLength } = CONFIG.scoring;
+const rate = (score, par, attempts = 1, budget = 5) => {
+    const r = Scoring.rate({ score, par, attempts, budget });
+    return [r.stars, r.points];
+};
+
+check('clear at par within budget', rate(1000, 1000), [3, maxPoints]);
+check('clear over par slack loses the par star', rate(1200, 1000), [2, Math.round(maxPoints * 1000 / 1200)]);
+check('clear past the budget loses the budget star', rate(1000, 1000, 10), [2, maxPoints / 2]);
+check('attempt factor stops at the floor', rate(1000, 1000, 1000), [2, Math.round(maxPoints * CONFIG.scoring.attemptFloor)]);
+
+// Null par: no par star, length factor noParLength
+check('null par earns no par star', rate(1000, null), [2, Math.round(maxPoints * noParLength)]);
+check('null par past the budget', rate(1000, null, 10), [1, Math.round(maxPoints * noParLength / 2)]);
+[[1, 1], [5000, 1], [1000, 20]].forEach(([score, attempts]) => {
+    const [stars, points] = rate(score, null, attempts);
+    const [parStars, parPoints] = rate(1000, 1000, attempts);
+    check(`null par never beats a par clear (${score} in ${attempts})`, stars <= parStars && points <= parPoints, true);
+});
+
+process.exit(checks.every(Boolean) ? 0 : 1);
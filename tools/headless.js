@@ -0,0 +1,22 @@
+/* ======================================================================
+   Headless loader — runs the browser-side core modules inside Node.
+   The js/ files are plain <script> globals, so they are evaluated in
+   this context in the same order index.html loads them.
+
+   Usage:
+     const { Optics, MazeGenerator, SeededRandom } = require('./tools/headless');
+====================================================================== */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// DOM-free modules only (game.js / main.js need a browser; ProgressStore
+// touches localStorage only when called)
+const CORE = ['config.js', 'vec2.js', 'random.js', 'storage.js', 'maze.js', 'optics.js', 'elements.js', 'motion.js', 'spatial.js', 'solver.js', 'levels.js', 'daily.js', 'scoring.js'];
+
+CORE.forEach(file => {
+    const filename = path.join(__dirname, '..', 'js', file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+});
+
+module.exports = vm.runInThisContext('({ CONFIG, Vec2, SeededRandom, ProgressStore, MazeGenerator, Optics, Elements, Motion, SpatialGrid, Solver, LevelFormat, LevelFormatError, LevelPacks, DailyChallenge, Scoring })');
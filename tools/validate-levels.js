@@ -0,0 +1,31 @@
+/* ======================================================================
+   Level pack validator
+   Checks one or more level / pack JSON files against the level format
+   and prints every schema error it finds.
+
+   Usage: node tools/validate-levels.js levels/my-pack.json [...]
+====================================================================== */
+const fs = require('fs');
+const { LevelFormat, LevelFormatError } = require('./headless');
+
+const files = process.argv.slice(2);
+if (!files.length) {
+    console.error('Usage: node tools/validate-levels.js <level-or-pack.json> [...]');
+    process.exit(2);
+}
+
+let failed = 0;
+files.forEach(file => {
+    try {
+        const pack = LevelFormat.parse(fs.readFileSync(file, 'utf8'));
+        console.log(`✔ ${file} — "${pack.name}", ${pack.levels.length} level(s)`);
+    } catch (err) {
+        failed++;
+        if (!(err instanceof LevelFormatError)) console.error(`✘ ${file} — ${err.message}`);
+        else {
+            console.error(`✘ ${file}`);
+            err.errors.forEach(e => console.error(`    ${e}`));
+        }
+    }
+});
+process.exit(failed ? 1 : 0);
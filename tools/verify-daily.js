@@ -0,0 +1,26 @@
+/* ======================================================================
+   Daily result verifier
+   Rebuilds each result's daily maze and re-traces the recorded angle.
+
+   Usage: node tools/verify-daily.js "PMD1:2026-10-19:1200x800:…" [...]
+====================================================================== */
+const { DailyChallenge } = require('./headless');
+
+const results = process.argv.slice(2);
+if (!results.length) {
+    console.error('Usage: node tools/verify-daily.js <result string> [...]');
+    process.exit(2);
+}
+
+let failed = 0;
+results.forEach(text => {
+    const check = DailyChallenge.verify(text);
+    if (check.ok) {
+        const { run } = check;
+        console.log(`✔ ${run.name} — ${run.key}, ${run.length} units in ${run.attempts} attempt(s)${run.assisted ? ' (assisted)' : ''}`);
+    } else {
+        failed++;
+        console.error(`✘ ${text}\n    ${check.reason}`);
+    }
+});
+process.exit(failed ? 1 : 0);